@@ -4,29 +4,33 @@
  * Sammelt lokale Events aus mehreren Quellen (APIs + Scraping)
  */
 
-const axios = require('axios');
-const cheerio = require('cheerio');
+// Event times are Berlin wall clock; date ranges and formatting must use the
+// same zone no matter how the container is configured
+process.env.TZ = 'Europe/Berlin';
+
 const fs = require('fs');
 const path = require('path');
-const crypto = require('crypto');
-const { format, addDays, startOfDay, endOfDay, parseISO } = require('date-fns');
-const { fetchDeskline } = require('./providers/deskline');
-
-async function fetchDesklineCity(cityKey, dateRange, opts) {
-  return fetchDeskline(cityKey, dateRange, opts);
-}
+const { format } = require('date-fns');
+const { loadConfig } = require('./lib/config');
+const { parseArgs } = require('./lib/args');
+const { getDateRange } = require('./lib/dates');
+const { aggregate, aggregateRegions, applyFilters } = require('./lib/aggregate');
+const { resolveRegions } = require('./lib/regions');
+const { formatIcs } = require('./lib/ics');
+const { matchProfile } = require('./lib/profiles');
+const { weatherLabel } = require('./lib/weather');
+const { STATUS_BADGES } = require('./lib/classify');
+const { groupDigest, timeLabel, untilLabel } = require('./lib/digest');
+const { sendDiscord } = require('./lib/discord');
+const { startServer } = require('./lib/server');
+const { startMcpServer } = require('./lib/mcp');
+const { cacheInfo, ageLabel } = require('./lib/cache');
+const { discoverProviders } = require('./lib/registry');
 
 // ── Config ──────────────────────────────────────────────────────────────
 
-const CACHE_DIR = path.join(__dirname, '.cache');
-const CACHE_TTL_MS = 30 * 60 * 1000;
 const ENV_PATH = path.join(__dirname, '.env');
 const SECRETS_PATH = '/root/.openclaw/workspace/.secrets.env';
-const TIMEOUT = 15000;
-const UA = 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 Chrome/120.0.0.0 Safari/537.36';
-
-// Gießen coordinates
-const GEO = { lat: 50.5840, lon: 8.6784 };
 
 function loadEnv() {
   // Load central secrets first, then local overrides
@@ -40,475 +44,116 @@ function loadEnv() {
   }
 }
 
-// ── Args ────────────────────────────────────────────────────────────────
-
-function parseArgs() {
-  const args = process.argv.slice(2);
-  const opts = {
-    city: process.env.CITY || 'Gießen',
-    radius: parseInt(process.env.RADIUS_KM || '50'),
-    type: 'all',
-    limit: 30,
-    date: null,
-    json: args.includes('--json'),
-  };
-  for (let i = 0; i < args.length; i++) {
-    if (args[i] === '--radius' && args[i+1]) opts.radius = parseInt(args[++i]);
-    if (args[i] === '--type' && args[i+1]) opts.type = args[++i];
-    if (args[i] === '--date' && args[i+1]) opts.date = args[++i];
-    if (args[i] === '--limit' && args[i+1]) opts.limit = parseInt(args[++i]);
-    if (args[i] === '--city' && args[i+1]) opts.city = args[++i];
-  }
-  return opts;
-}
-
-function getDateRange(dateStr) {
-  const now = new Date();
-  if (!dateStr) {
-    // Default: next 7 days
-    return { start: startOfDay(now), end: endOfDay(addDays(now, 7)) };
-  }
-  if (dateStr.includes(':')) {
-    const [s, e] = dateStr.split(':');
-    return { start: startOfDay(parseISO(s)), end: endOfDay(parseISO(e)) };
-  }
-  if (dateStr === 'today') return { start: startOfDay(now), end: endOfDay(now) };
-  if (dateStr === 'weekend') {
-    const daysUntilSat = (6 - now.getDay() + 7) % 7 || 7;
-    const sat = addDays(now, daysUntilSat);
-    return { start: startOfDay(sat), end: endOfDay(addDays(sat, 1)) };
-  }
-  const d = parseISO(dateStr);
-  return { start: startOfDay(d), end: endOfDay(d) };
-}
-
-// ── Cache ───────────────────────────────────────────────────────────────
+// ── Output ──────────────────────────────────────────────────────────────
 
-function cacheFile(key) {
-  return path.join(CACHE_DIR, crypto.createHash('md5').update(key).digest('hex') + '.json');
+function formatChange(c) {
+  if (!c.from) return '–';
+  return c.field === 'date' ? format(new Date(c.from), 'dd.MM. HH:mm') : c.from;
 }
 
-function readCache(key) {
-  const f = cacheFile(key);
-  if (!fs.existsSync(f)) return null;
-  try {
-    const d = JSON.parse(fs.readFileSync(f, 'utf-8'));
-    if (Date.now() - d.ts > CACHE_TTL_MS) { fs.unlinkSync(f); return null; }
-    return d.payload;
-  } catch { return null; }
-}
+const CHANGE_BADGES = { new: '🆕 ', changed: '✏️ ', disappeared: '❌ ' };
 
-function writeCache(key, payload) {
-  if (!fs.existsSync(CACHE_DIR)) fs.mkdirSync(CACHE_DIR, { recursive: true });
-  fs.writeFileSync(cacheFile(key), JSON.stringify({ ts: Date.now(), payload }));
+function formatEventLine(e, opts, prefix) {
+  const sport = matchProfile(e, opts.profile);
+  const badge = sport ? ` ${sport.icon} **${sport.label}**` : '';
+  const change = CHANGE_BADGES[e.changeStatus] || '';
+  const struck = e.changeStatus === 'disappeared' || e.status === 'cancelled';
+  const sb = STATUS_BADGES[e.status];
+  const status = sb ? ` ${sb.icon} **${sb.label}**` : '';
+  let line = `• ${change}${prefix}${struck ? `~~${e.name}~~` : e.name}${status}${badge}`;
+  if (e.recurrence) line += ` 🔁 ${e.recurrence}`;
+  if (e.venue) line += ` @ ${e.venue}`;
+  if (e.distanceKm != null && e.place !== opts.geo?.name) line += ` (${e.place || '📍'}, ${e.distanceKm} km)`;
+  if (e.price) line += ` (${e.price})`;
+  if (e.weather) line += ` ${weatherLabel(e.weather)}`;
+  if (e.url) line += ` · [→ Info](<${e.url}>)`;
+  if (e.changes?.length) line += ` _(vorher: ${e.changes.map(c => `${c.label} ${formatChange(c)}`).join(', ')})_`;
+  return line + '\n';
 }
 
-// ── Provider: Ticketmaster ──────────────────────────────────────────────
-
-async function fetchTicketmaster(dateRange, opts) {
-  const apiKey = process.env.TICKETMASTER_API_KEY;
-  if (!apiKey) return { events: [], status: 'skip (kein API Key)' };
-
-  try {
-    const params = {
-      apikey: apiKey,
-      latlong: `${GEO.lat},${GEO.lon}`,
-      radius: opts.radius,
-      unit: 'km',
-      startDateTime: format(dateRange.start, "yyyy-MM-dd'T'HH:mm:ss'Z'"),
-      endDateTime: format(dateRange.end, "yyyy-MM-dd'T'HH:mm:ss'Z'"),
-      size: opts.limit,
-      sort: 'date,asc',
-      locale: 'de',
-    };
-
-    const { data } = await axios.get('https://app.ticketmaster.com/discovery/v2/events.json', {
-      params, timeout: TIMEOUT,
-    });
-
-    if (!data._embedded?.events) return { events: [], status: 'ok (0 Events)' };
+function formatText(events, dateRange, opts = {}) {
+  if (events.length === 0) return '😔 Keine Events gefunden für den Zeitraum.';
 
-    const events = data._embedded.events.map(e => ({
-      name: e.name,
-      date: e.dates?.start?.dateTime || e.dates?.start?.localDate || null,
-      venue: e._embedded?.venues?.[0]?.name || null,
-      address: [e._embedded?.venues?.[0]?.address?.line1, e._embedded?.venues?.[0]?.city?.name].filter(Boolean).join(', '),
-      type: e.classifications?.[0]?.segment?.name?.toLowerCase() || 'other',
-      url: e.url,
-      price: e.priceRanges ? `Ab ${e.priceRanges[0].min}€` : null,
-      source: 'ticketmaster',
-      description: (e.info || e.pleaseNote || '').slice(0, 200) || null,
-    }));
+  const startStr = format(dateRange.start, 'dd.MM.yyyy');
+  const endStr = format(dateRange.end, 'dd.MM.yyyy');
+  let out = `🎉 **${events.length} Events in ${opts.city || 'Gießen'} & Umgebung** (${startStr} – ${endStr})\n`;
 
-    return { events, status: `ok (${events.length} Events)` };
-  } catch (e) {
-    return { events: [], status: `error: ${e.message}` };
+  const { running, days } = groupDigest(events, opts.profile);
+  if (running.length) {
+    out += `\n**🖼️ Laufend diese Woche**\n`;
+    for (const e of running) out += formatEventLine(e, opts, `${untilLabel(e)} — `);
   }
-}
-
-// ── Provider: giessen.de (Scraping) ─────────────────────────────────────
 
-async function fetchGiessenDe(dateRange, opts) {
-  try {
-    const BASE = 'https://www.giessen.de';
-    const url = `${BASE}/Erleben/Veranstaltungen/`;
-    const { data } = await axios.get(url, {
-      headers: { 'User-Agent': UA, 'Accept-Language': 'de-DE,de;q=0.9' },
-      timeout: TIMEOUT,
-    });
-
-    const $ = cheerio.load(data);
-    const events = [];
-    const startTs = dateRange.start.getTime();
-    const endTs = dateRange.end.getTime();
-
-    // Each event is a list item with link, title, date, description
-    $('ul li').each((_, el) => {
-      const $el = $(el);
-      const $link = $el.find('a[href*="/Veranstaltungen/"]').first();
-      if (!$link.length) return;
-
-      const text = $el.text().replace(/\s+/g, ' ').trim();
-      const href = $link.attr('href');
-      
-      // Extract name - it's the main text of the link
-      const rawText = $link.text().replace(/\s+/g, ' ').trim();
-      // Try to get clean name from URL slug as primary source
-      let name = null;
-      if (href) {
-        const slugMatch = href.match(/Veranstaltungen\/([^.?]+)/);
-        if (slugMatch) {
-          name = decodeURIComponent(slugMatch[1])
-            .replace(/-/g, ' ')
-            .replace(/\.php$/, '')
-            .trim();
-        }
-      }
-      // Fallback to text with copyright cleanup
-      if (!name || name.length < 3) {
-        name = rawText
-          .replace(/^©\s*.+?\s{2,}/, '') // © Author  Title (double space separates)
-          .replace(/^©\s*/, '')
-          .trim();
-      }
-
-      if (!name || name.length < 3) return;
-      // Skip navigation/index links
-      if (/^(heute|morgen|diese Woche|dieses Wochenende|4 Wochen|Veranstaltungen|Musikalischer Sommer|Raumkataster|index)$/i.test(name)) return;
-      if (href && href.includes('index.php?')) return;
-
-      // Extract date patterns: "25.02.2026 18:00 Uhr" or "24.02.2026 bis 26.02.2026"
-      let date = null;
-      let dateEnd = null;
-      
-      // Single date with time: "25.02.2026  18:00 Uhr" or "25.02.2026  18:00 bis 22:00 Uhr"
-      const singleMatch = text.match(/(\d{2}\.\d{2}\.\d{4})\s+(\d{2}:\d{2})(?:\s+bis\s+(\d{2}:\d{2}))?\s*Uhr/);
-      // Date range: "24.02.2026 bis 26.02.2026"
-      const rangeMatch = text.match(/(\d{2}\.\d{2}\.\d{4})\s+bis\s+(\d{2}\.\d{2}\.\d{4})/);
-      // Single date only: "25.02.2026"
-      const dateOnly = text.match(/(\d{2}\.\d{2}\.\d{4})/);
-
-      if (singleMatch) {
-        date = parseDateDE(`${singleMatch[1]} ${singleMatch[2]}`);
-      } else if (rangeMatch) {
-        date = parseDateDE(rangeMatch[1]);
-        dateEnd = parseDateDE(rangeMatch[2]);
-      } else if (dateOnly) {
-        date = parseDateDE(dateOnly[1]);
-      }
-
-      // Filter by date range
-      if (date) {
-        const eventTs = new Date(date).getTime();
-        const eventEndTs = dateEnd ? new Date(dateEnd).getTime() : eventTs;
-        // Skip if event ends before our range or starts after
-        if (eventEndTs < startTs || eventTs > endTs) return;
-      }
-
-      // Extract description (text after the date info)
-      let description = null;
-      const descMatch = text.match(/Uhr\s+(.+?)(?:\s+Mehr\s*\.\.\.)?$/);
-      if (descMatch) description = descMatch[1].slice(0, 200);
-      else {
-        // Try text after date range
-        const afterDate = text.match(/\d{4}\s+(.{10,}?)$/);
-        if (afterDate) description = afterDate[1].slice(0, 200);
-      }
-
-      events.push({
-        name: name.split(/\d{2}\.\d{2}\.\d{4}/)[0].trim() || name,
-        date,
-        venue: null,
-        address: 'Gießen',
-        type: 'other',
-        url: href ? (href.startsWith('http') ? href : `${BASE}${href}`) : null,
-        price: null,
-        source: 'giessen.de',
-        description,
-      });
-    });
-
-    return { events, status: `ok (${events.length} Events)` };
-  } catch (e) {
-    return { events: [], status: `error: ${e.message}` };
+  for (const day of days) {
+    out += `\n**📅 ${day.label}**\n`;
+    for (const e of day.events) out += formatEventLine(e, opts, `**${timeLabel(e)}** — `);
   }
-}
-
-// ── Provider: marburg.de (Scraping) ─────────────────────────────────────
-
-async function fetchMarburgDe(dateRange, opts) {
-  try {
-    const BASE = 'https://www.marburg.de';
-    const urls = [
-      `${BASE}/wirtschaft-und-zukunft/stadtmarketing-marburg/eigene-veranstaltungen/`,
-      `${BASE}/kultur-und-tourismus/erwin-piscator-haus/eigene-veranstaltungen/`,
-    ];
-    const events = [];
-    const startTs = dateRange.start.getTime();
-    const endTs = dateRange.end.getTime();
 
-    for (const url of urls) {
-      const { data } = await axios.get(url, {
-        headers: { 'User-Agent': UA, 'Accept-Language': 'de-DE,de;q=0.9' },
-        timeout: TIMEOUT,
-      });
-      const $ = cheerio.load(data);
-
-      // Find event links and walk up to get parent block (h4 + description)
-      $('a[href*="/portal/seiten/"]').each((_, el) => {
-        const $link = $(el);
-        const href = $link.attr('href');
-        if (!href || $link.text().toLowerCase().includes('zurück')) return;
-
-        const $block = $link.closest('div, article, section, li').length
-          ? $link.closest('div, article, section, li')
-          : $link.parent();
-        const text = $block.text().replace(/\s+/g, ' ').trim();
-        const $heading = $block.find('h3, h4, h5').first();
-        const name = ($heading.length ? $heading.text() : $link.closest('h3, h4, h5').text() || text.split(/weiterlesen|Am\s+\d|Jeden\s+/i)[0]).replace(/\s+/g, ' ').trim();
-        if (!name || name.length < 5) return;
-
-        let date = null;
-        const ddmmMatch = text.match(/(\d{2})\.(\d{2})\.(\d{4})/);
-        if (ddmmMatch) date = parseDateDE(ddmmMatch[0]);
-        else if (text.match(/\d{1,2}\.?\s+und\s+\d{1,2}\.?\s+\w+/i) || text.match(/\d{1,2}\.?\s+\w+\s+\d{4}/i)) {
-          date = parseDateDE(text);
-        }
-        if (!date) return;
-
-        const eventTs = new Date(date).getTime();
-        if (eventTs < startTs || eventTs > endTs) return;
-
-        events.push({
-          name: name.slice(0, 100),
-          date,
-          venue: 'Marburg',
-          address: 'Marburg',
-          type: 'other',
-          url: href.startsWith('http') ? href : `${BASE}${href}`,
-          price: null,
-          source: 'marburg.de',
-          description: text.slice(0, 200),
-        });
-      });
-    }
-
-    return { events, status: `ok (${events.length} Events)` };
-  } catch (e) {
-    return { events: [], status: `error: ${e.message}` };
+  const stale = new Map();
+  for (const e of events) if (e.stale && !stale.has(e.source)) stale.set(e.source, e.fetchedAt);
+  if (stale.size) {
+    const list = [...stale].map(([source, at]) => `${source} (Stand ${format(new Date(at), 'dd.MM. HH:mm')})`);
+    out += `\n⚠️ _Quelle nicht erreichbar, zeige letzten Stand: ${list.join(', ')}_\n`;
   }
-}
-
-// ── Provider: wetzlar.de (Scraping, TYPO3-style) ─────────────────────────
-
-async function fetchWetzlarDe(dateRange, opts) {
-  try {
-    const BASE = 'https://www.wetzlar.de';
-    const url = `${BASE}/leben-in-wetzlar/veranstaltungen/index.php`;
-    const { data } = await axios.get(url, {
-      headers: { 'User-Agent': UA, 'Accept-Language': 'de-DE,de;q=0.9' },
-      timeout: TIMEOUT,
-    });
-
-    const $ = cheerio.load(data);
-    const events = [];
-    const startTs = dateRange.start.getTime();
-    const endTs = dateRange.end.getTime();
-
-    // TYPO3-style: ul li with event links (same structure as Giessen if applicable)
-    $('ul li').each((_, el) => {
-      const $el = $(el);
-      const $link = $el.find('a[href*="/veranstaltungen/"], a[href*="/Veranstaltungen/"]').first();
-      if (!$link.length) return;
 
-      const href = $link.attr('href');
-      if (!href || href.includes('index.php') || href.includes('veranstaltung-melden')) return;
-
-      const text = $el.text().replace(/\s+/g, ' ').trim();
-      const slugMatch = href.match(/veranstaltungen\/([^.?]+)/i);
-      const name = slugMatch
-        ? decodeURIComponent(slugMatch[1]).replace(/-/g, ' ').replace(/\.php$/i, '').trim()
-        : $link.text().replace(/\s+/g, ' ').trim();
-      if (!name || name.length < 3) return;
-      if (/^(heute|morgen|diese Woche|dieses Wochenende|Veranstaltung|index)$/i.test(name)) return;
-
-      let date = null;
-      const singleMatch = text.match(/(\d{2}\.\d{2}\.\d{4})\s+(\d{2}:\d{2})/);
-      const rangeMatch = text.match(/(\d{2}\.\d{2}\.\d{4})\s+bis\s+(\d{2}\.\d{2}\.\d{4})/);
-      const dateOnly = text.match(/(\d{2}\.\d{2}\.\d{4})/);
-      if (singleMatch) date = parseDateDE(`${singleMatch[1]} ${singleMatch[2]}`);
-      else if (rangeMatch) date = parseDateDE(rangeMatch[1]);
-      else if (dateOnly) date = parseDateDE(dateOnly[1]);
-      if (!date) return;
-
-      const eventTs = new Date(date).getTime();
-      if (eventTs < startTs || eventTs > endTs) return;
-
-      events.push({
-        name: name.split(/\d{2}\.\d{2}\.\d{4}/)[0].trim() || name,
-        date,
-        venue: null,
-        address: 'Wetzlar',
-        type: 'other',
-        url: href.startsWith('http') ? href : `${BASE}${href}`,
-        price: null,
-        source: 'wetzlar.de',
-        description: null,
-      });
-    });
-
-    return { events, status: `ok (${events.length} Events)` };
-  } catch (e) {
-    return { events: [], status: `error: ${e.message}` };
-  }
+  return out;
 }
 
-// ── Date Parsing (German) ───────────────────────────────────────────────
-
-function parseDateDE(str) {
-  if (!str) return null;
-  // "Sa, 15.02.2026 20:00" or "15.02.2026" or "15. Feb 2026"
-  const m = str.match(/(\d{1,2})\.(\d{1,2})\.(\d{4})(?:\s+(\d{1,2}):(\d{2}))?/);
-  if (m) {
-    const [, d, mo, y, h, min] = m;
-    return `${y}-${mo.padStart(2,'0')}-${d.padStart(2,'0')}T${(h||'00').padStart(2,'0')}:${(min||'00').padStart(2,'0')}:00`;
-  }
-  // "11. und 12. April", "30. April 2025", "10. und 11. Oktober 2026"
-  const months = ['januar','februar','märz','april','mai','juni','juli','august','september','oktober','november','dezember'];
-  const rangeMatch = str.match(/(\d{1,2})\.?\s+und\s+(\d{1,2})\.?\s+(\w+)\s+(\d{4})?/i);
-  const singleMatch = str.match(/(\d{1,2})\.?\s+(\w+)\s+(\d{4})?/i);
-  const now = new Date();
-  const year = (rangeMatch && rangeMatch[4]) || (singleMatch && singleMatch[3]) || String(now.getFullYear());
-  let monthNum, day;
-  if (rangeMatch) {
-    const mon = rangeMatch[3].toLowerCase().replace(/ä/g,'a');
-    monthNum = months.findIndex(m => mon.startsWith(m.slice(0,3))) + 1;
-    day = parseInt(rangeMatch[1], 10);
-  } else if (singleMatch) {
-    const mon = singleMatch[2].toLowerCase().replace(/ä/g,'a');
-    monthNum = months.findIndex(m => mon.startsWith(m.slice(0,3))) + 1;
-    day = parseInt(singleMatch[1], 10);
-  } else return null;
-  if (monthNum < 1 || monthNum > 12) return null;
-  return `${year}-${String(monthNum).padStart(2,'0')}-${String(day).padStart(2,'0')}T00:00:00`;
+function formatBytes(n) {
+  return n >= 1024 * 1024 ? `${(n / 1024 / 1024).toFixed(1).replace('.', ',')} MB` : `${Math.ceil(n / 1024)} KB`;
 }
 
-// ── Deduplicate & Sort ──────────────────────────────────────────────────
-
-function dedup(events) {
-  const seen = new Map();
-  for (const e of events) {
-    const key = (e.name || '').toLowerCase().replace(/[^a-zäöüß0-9]/g, '').slice(0, 40)
-      + '|' + (e.date || '').slice(0, 10);
-    if (!seen.has(key)) {
-      seen.set(key, e);
-    } else {
-      const ex = seen.get(key);
-      if (!ex.price && e.price) ex.price = e.price;
-      if (!ex.venue && e.venue) ex.venue = e.venue;
-      ex.source += `, ${e.source}`;
-    }
+function formatCacheInfo(info) {
+  let out = `📦 Cache: ${info.dir} (${formatBytes(info.bytes)})\n`;
+  for (const g of Object.values(info.groups)) out += `  ${g.label}: ${g.files} Dateien, ${formatBytes(g.bytes)}\n`;
+  if (info.providers.length) out += '\nProvider-Ergebnisse:\n';
+  for (const p of info.providers) {
+    const state = p.fresh ? '✅ frisch' : p.usableAsStale ? '⏳ abgelaufen (Fallback)' : '🗑️ veraltet';
+    out += `  ${p.provider.padEnd(18)} ${(p.range || '').padEnd(22)} ${ageLabel(p.ageMs).padEnd(14)} ${state}, ${p.count} Events\n`;
   }
-  return [...seen.values()].sort((a, b) => {
-    const da = a.date ? new Date(a.date).getTime() : Infinity;
-    const db = b.date ? new Date(b.date).getTime() : Infinity;
-    return da - db;
-  });
+  return out.trimEnd();
 }
 
-// ── Sport Priority (1=Gravel, 2=MTB, 3=Climbing, 4=Hiking, 5=other) ────────
-
-const SPORT_PATTERNS = [
-  { priority: 1, label: 'Gravel', icon: '🚴', keywords: /gravel|grvl|schotter|radsport/i },
-  { priority: 2, label: 'MTB', icon: '🏔️', keywords: /\bmtb\b|mountainbike|mountain\s*bike|singletrail|trail\s*tour|enduro|downhill/i },
-  { priority: 3, label: 'Climbing', icon: '🧗', keywords: /klettern|climbing|bouldern|boulder/i },
-  { priority: 4, label: 'Hiking', icon: '🥾', keywords: /wanderung|hiking|trekking|wandern|bergtour|hütten/i },
-  { priority: 5, label: 'Sport', icon: '⚽', keywords: /\bsport\b|\blauf\b|\brun\b|\bradtour\b|\brad\s*tour\b|\byoga\b|\bfitness\b/i },
-];
-
-function getSportPriority(e) {
-  const text = [e.name, e.description, e.type].filter(Boolean).join(' ').toLowerCase();
-  for (const p of SPORT_PATTERNS) {
-    if (p.keywords.test(text)) return { priority: p.priority, label: p.label, icon: p.icon };
-  }
-  return null;
+function render(events, dateRange, opts) {
+  if (opts.ics) return formatIcs(events, opts.region ? { name: `Events ${opts.city} & Umgebung` } : {});
+  if (opts.json) return JSON.stringify(events, null, 2);
+  return formatText(events, dateRange, opts);
 }
 
-// ── Output ──────────────────────────────────────────────────────────────
-
-function formatText(events, dateRange) {
-  if (events.length === 0) return '😔 Keine Events gefunden für den Zeitraum.';
-
-  const startStr = format(dateRange.start, 'dd.MM.yyyy');
-  const endStr = format(dateRange.end, 'dd.MM.yyyy');
-  let out = `🎉 **${events.length} Events in Gießen & Umgebung** (${startStr} – ${endStr})\n`;
-
-  // Group by day, sort events: sport first (prio 1→2→3→4→5), then non-sport, then by time
-  const byDay = new Map();
-  for (const e of events) {
-    const d = e.date ? new Date(e.date) : null;
-    const dayKey = d ? format(d, 'yyyy-MM-dd') : 'unknown';
-    if (!byDay.has(dayKey)) byDay.set(dayKey, []);
-    byDay.get(dayKey).push(e);
+async function deliver(events, dateRange, opts) {
+  events = applyFilters(events, opts);
+  if (opts.discordWebhook) {
+    const n = await sendDiscord(opts.discordWebhook, events, dateRange, opts);
+    console.error(`📤 Discord: ${n} Nachricht(en) gesendet`);
+    return;
   }
-  for (const [dayKey, dayEvents] of byDay) {
-    dayEvents.sort((a, b) => {
-      const spa = getSportPriority(a);
-      const spb = getSportPriority(b);
-      const pa = spa ? spa.priority : 99;
-      const pb = spb ? spb.priority : 99;
-      if (pa !== pb) return pa - pb;
-      const ta = a.date ? new Date(a.date).getTime() : 0;
-      const tb = b.date ? new Date(b.date).getTime() : 0;
-      return ta - tb;
-    });
+  if (opts.outputFile) {
+    fs.mkdirSync(path.dirname(path.resolve(opts.outputFile)), { recursive: true });
+    fs.writeFileSync(opts.outputFile, render(events, dateRange, opts) + (opts.ics ? '' : '\n'));
+    console.error(`💾 ${opts.outputFile}: ${events.length} Events`);
+    return;
   }
+  process.stdout.write(render(events, dateRange, opts) + (opts.ics ? '' : '\n'));
+}
 
-  const TAGE = ['Sonntag','Montag','Dienstag','Mittwoch','Donnerstag','Freitag','Samstag'];
-  const sortedDays = [...byDay.keys()].sort();
-  let lastDay = '';
-
-  for (const dayKey of sortedDays) {
-    const dayEvents = byDay.get(dayKey);
-    const d = dayKey !== 'unknown' ? new Date(dayKey + 'T12:00:00') : null;
-    const day = d ? `${TAGE[d.getDay()]}, ${format(d, 'dd.MM.')}` : 'Datum unbekannt';
-    if (day !== lastDay) {
-      out += `\n**📅 ${day}**\n`;
-      lastDay = day;
-    }
-    for (const e of dayEvents) {
-      const sport = getSportPriority(e);
-      const time = e.date ? format(new Date(e.date), 'HH:mm') : '??:??';
-      const badge = sport ? ` ${sport.icon} **${sport.label}**` : '';
-      out += `• **${time}** — ${e.name}${badge}`;
-      if (e.venue) out += ` @ ${e.venue}`;
-      if (e.price) out += ` (${e.price})`;
-      if (e.url) out += ` · [→ Info](<${e.url}>)`;
-      out += '\n';
-    }
+// Regions with a webhook/file get their own delivery; the rest share stdout:
+// digests one after another, JSON keyed by region, one combined calendar
+async function deliverRegions(results, dateRange, opts) {
+  const rest = [];
+  for (const r of results) {
+    if (r.opts.discordWebhook || r.opts.outputFile) await deliver(r.events, dateRange, r.opts);
+    else rest.push({ ...r, events: applyFilters(r.events, r.opts) });
   }
+  if (!rest.length) return;
 
-  return out;
+  if (opts.ics) {
+    const byId = new Map(rest.flatMap(r => r.events).map(e => [e.id, e]));
+    process.stdout.write(formatIcs([...byId.values()], { name: `Events ${rest.map(r => r.opts.city).join(', ')}` }));
+  } else if (opts.json) {
+    process.stdout.write(JSON.stringify(Object.fromEntries(rest.map(r => [r.name, r.events])), null, 2) + '\n');
+  } else {
+    process.stdout.write(rest.map(r => formatText(r.events, dateRange, r.opts)).join('\n') + '\n');
+  }
 }
 
 // ── Main ────────────────────────────────────────────────────────────────
@@ -516,58 +161,30 @@ function formatText(events, dateRange) {
 async function main() {
   loadEnv();
   const opts = parseArgs();
-  const dateRange = getDateRange(opts.date);
+  const config = loadConfig();
 
-  const cacheKey = `events_${opts.city}_${format(dateRange.start, 'yyyy-MM-dd')}_${format(dateRange.end, 'yyyy-MM-dd')}_${opts.radius}`;
-  const cached = readCache(cacheKey);
-  if (cached) {
-    console.error('📦 Cache hit');
-    const enriched = cached.map(e => {
-      const sport = getSportPriority(e);
-      return { ...e, sportPriority: sport ? sport.priority : 99, sportLabel: sport ? sport.label : null };
-    });
-    console.log(opts.json ? JSON.stringify(enriched, null, 2) : formatText(enriched, dateRange));
+  if (process.argv[2] === 'serve') {
+    await startServer(opts, config);
     return;
   }
-
-  console.error(`🔍 Events: ${opts.city}, ${format(dateRange.start, 'dd.MM.')} – ${format(dateRange.end, 'dd.MM.yyyy')}, ${opts.radius}km`);
-
-  const providers = [
-    { name: 'Ticketmaster', fn: () => fetchTicketmaster(dateRange, opts) },
-    { name: 'Giessen.de', fn: () => fetchGiessenDe(dateRange, opts) },
-    // TODO: Marburg.de + Wetzlar.de nutzen Deskline (feratel) Widget
-    // Puppeteer-Scraper in providers/deskline.js vorhanden, aber Widget
-    // lädt Events nicht in scrape-baren DOM. Braucht weitere Analyse.
-    // Ticketmaster deckt Marburg/Wetzlar Events über 50km-Radius ab.
-    // { name: 'Marburg.de', fn: () => fetchDesklineCity('marburg', dateRange, opts) },
-    // { name: 'Wetzlar.de', fn: () => fetchDesklineCity('wetzlar', dateRange, opts) },
-  ];
-
-  const results = await Promise.allSettled(providers.map(p => p.fn()));
-  let allEvents = [];
-
-  results.forEach((r, i) => {
-    if (r.status === 'fulfilled') {
-      console.error(`  ${providers[i].name}: ${r.value.status}`);
-      allEvents.push(...r.value.events);
-    } else {
-      console.error(`  ${providers[i].name}: ❌ ${r.reason?.message}`);
-    }
-  });
-
-  allEvents = dedup(allEvents);
-  if (opts.type !== 'all') {
-    allEvents = allEvents.filter(e => e.type === opts.type || e.type === 'other');
+  if (process.argv[2] === 'mcp') {
+    await startMcpServer(config);
+    return;
+  }
+  if (opts.cacheInfo) {
+    const info = cacheInfo(config, discoverProviders(config));
+    console.log(opts.json ? JSON.stringify(info, null, 2) : formatCacheInfo(info));
+    return;
   }
 
-  // Add sportPriority for JSON / sorting
-  allEvents = allEvents.map(e => {
-    const sport = getSportPriority(e);
-    return { ...e, sportPriority: sport ? sport.priority : 99, sportLabel: sport ? sport.label : null };
-  });
-
-  writeCache(cacheKey, allEvents);
-  console.log(opts.json ? JSON.stringify(allEvents, null, 2) : formatText(allEvents, dateRange));
+  const dateRange = getDateRange(opts.date, { defaultDate: config.defaultDate });
+  if (opts.region || opts.allRegions) {
+    const { regions } = await aggregateRegions(resolveRegions(opts, config), opts, config, dateRange, { log: msg => console.error(msg), track: true });
+    await deliverRegions(regions, dateRange, opts);
+    return;
+  }
+  const { events } = await aggregate(opts, config, dateRange, { log: msg => console.error(msg), track: true });
+  await deliver(events, dateRange, opts);
 }
 
 main().catch(e => { console.error(`❌ ${e.message}`); process.exit(1); });
@@ -0,0 +1,248 @@
+/**
+ * Aggregation Pipeline
+ *
+ * providers (each behind its own cache, see lib/cache.js) → schema check →
+ * [details] → dedup → classify → radius → interest profile → [weather]. Shared by the CLI, the
+ * HTTP server and the MCP server. `aggregateRegions` runs it once for several
+ * regions (lib/regions.js).
+ */
+
+const { format } = require('date-fns');
+const { providerConfig } = require('./config');
+const { discoverProviders, selectProviders } = require('./registry');
+const { dedup, eventId } = require('./dedup');
+const { resolveCenter, filterByRadius } = require('./geo');
+const { loadProfile, matchProfile, NO_MATCH_PRIORITY } = require('./profiles');
+const { loadStore, saveStore, trackEvents } = require('./store');
+const { classifyEvent, detectStatus, filterByType } = require('./classify');
+const { enrichEvents } = require('./enrich');
+const { addWeather, weatherSettings } = require('./weather');
+const { matchesFilters } = require('./search');
+const { coverage } = require('./regions');
+const { validateEvents, finalizeEvent } = require('./schema');
+const { configureHttp, withRequestScope, takeRequestStats, formatRequestStats } = require('./http');
+const {
+  cacheSettings, providerCacheKey, readProviderCache, writeProviderCache, providerTtlMs, ageLabel, pruneCache,
+} = require('./cache');
+
+// ── Providers ───────────────────────────────────────────────────────────
+
+// name → { status, count, latencyMs, requests, cached, stale, cacheAgeMs, at }
+// of the last answer, live or from the cache
+const health = new Map();
+
+function providerHealth() {
+  return health;
+}
+
+async function fetchLive(p, dateRange, opts, config) {
+  const t0 = Date.now();
+  let result;
+  try {
+    result = await withRequestScope(p.name, () => p.fetch(dateRange, opts, providerConfig(config, p.name)));
+  } catch (e) {
+    result = { events: [], status: `error: ${e.message}` };
+  }
+  health.set(p.name, {
+    status: result.status,
+    count: result.events.length,
+    latencyMs: Date.now() - t0,
+    requests: takeRequestStats(p.name),
+    cached: false,
+    stale: false,
+    cacheAgeMs: null,
+    at: new Date().toISOString(),
+  });
+  return result;
+}
+
+/**
+ * One provider through its own cache. `mode`: 'on' (fresh cache wins),
+ * 'refresh' (always live, cache still written) or 'off'. A failed live
+ * fetch falls back to the last good result, marked `stale`.
+ */
+async function fetchProvider(p, dateRange, opts, config, mode, log) {
+  const t0 = Date.now();
+  const key = providerCacheKey(p, opts, dateRange, providerConfig(config, p.name));
+  const cached = mode === 'off' ? null : readProviderCache(key);
+  const age = cached ? Date.now() - cached.ts : Infinity;
+
+  if (mode === 'on' && age <= providerTtlMs(p, providerConfig(config, p.name), config)) {
+    log(`  ${p.label}: ${cached.result.status} 📦 ${ageLabel(age)}`);
+    health.set(p.name, {
+      status: cached.result.status,
+      count: cached.result.events.length,
+      latencyMs: Date.now() - t0,
+      requests: null,
+      cached: true,
+      stale: false,
+      cacheAgeMs: age,
+      at: new Date().toISOString(),
+    });
+    return { ...cached.result, via: 'cache' };
+  }
+
+  const live = await fetchLive(p, dateRange, opts, config);
+  const req = formatRequestStats(health.get(p.name).requests);
+  if (live.status.startsWith('ok')) {
+    if (mode !== 'off') writeProviderCache(key, p.name, live);
+  } else if (age <= cacheSettings(config).staleMaxHours * 3600 * 1000) {
+    log(`  ${p.label}: ⚠️ ${live.status}${req} → letzter Stand ${ageLabel(age)} (${cached.result.events.length} Events)`);
+    health.set(p.name, { ...health.get(p.name), count: cached.result.events.length, cached: true, stale: true, cacheAgeMs: age });
+    const fetchedAt = new Date(cached.ts).toISOString();
+    return { events: cached.result.events.map(e => ({ ...e, stale: true, fetchedAt })), status: live.status, via: 'stale' };
+  }
+  log(`  ${p.label}: ${live.status}${req}`);
+  return { ...live, via: 'live' };
+}
+
+async function fetchProviders(providers, dateRange, opts, config, mode, log) {
+  const results = await Promise.all(providers.map(p => fetchProvider(p, dateRange, opts, config, mode, log)));
+  const events = [];
+  const okSources = new Set();
+  results.forEach((r, i) => {
+    const { events: valid, invalid } = validateEvents(r.events);
+    if (invalid.length) {
+      const sample = invalid.slice(0, 3).map(x => `"${x.event?.name || '?'}": ${x.errors.join(', ')}`).join('; ');
+      log(`  ${providers[i].label}: ⚠️ ${invalid.length} ungültige Events verworfen (${sample}${invalid.length > 3 ? '; …' : ''})`);
+    }
+    // The provider tag lets regions pick their share of a shared run
+    events.push(...valid.map(e => ({ ...e, provider: providers[i].name })));
+    // Stale data says nothing about what disappeared since the last run
+    if (r.via !== 'stale' && r.status.startsWith('ok')) valid.forEach(e => okSources.add(e.source));
+  });
+  return { events, okSources, allCached: results.every(r => r.via === 'cache') };
+}
+
+// ── Pipeline ────────────────────────────────────────────────────────────
+
+// Resolves center and profile on `opts` (idempotent)
+function prepareOpts(opts, config) {
+  configureHttp(config.http);
+  if (!opts.geo) opts.geo = resolveCenter(opts);
+  if (!opts.profile) opts.profile = loadProfile(opts.profileName, config);
+  return opts;
+}
+
+// Add sportPriority/sportLabel/outdoor from the interest profile for JSON / sorting
+function withInterest(events, profile) {
+  return events.map(e => {
+    const sport = matchProfile(e, profile);
+    return {
+      ...e,
+      sportPriority: sport ? sport.priority : NO_MATCH_PRIORITY,
+      sportLabel: sport ? sport.label : null,
+      outdoor: !!sport?.outdoor,
+    };
+  });
+}
+
+// Profile, then the forecast for outdoor events (depends on the profile)
+async function personalize(events, opts, config, log) {
+  const interest = withInterest(events, opts.profile);
+  const weather = opts.weather || opts.hideBadWeather || weatherSettings(config).enabled;
+  return weather ? addWeather(interest, opts.geo, config, { log, mode: cacheMode(opts) }) : interest;
+}
+
+// Per-request filters run after the cache, so cached lists stay complete.
+// `--limit` keeps the earliest events of the final list.
+function applyFilters(events, opts) {
+  const visible = opts.includeCancelled ? events : events.filter(e => e.status !== 'cancelled');
+  const hits = filterByType(visible, opts.types, opts.excludeTypes)
+    .filter(e => matchesFilters(e, opts) && !(opts.hideBadWeather && e.weather?.bad));
+  if (!opts.limit) return hits;
+  const time = e => (e.date ? new Date(e.date).getTime() : Infinity);
+  return [...hits].sort((a, b) => time(a) - time(b)).slice(0, opts.limit);
+}
+
+// Concurrent requests for the same key share one fetch
+const inflight = new Map();
+
+// 'on' | 'refresh' | 'off', from --no-cache / --refresh
+function cacheMode(opts) {
+  if (opts.noCache) return 'off';
+  // Change flags compare against live data
+  return opts.refresh || opts.sinceLastRun ? 'refresh' : 'on';
+}
+
+// Fetch → details → dedup → classify → event store, before any radius or
+// profile is applied. `opts.geo`/`opts.radius` only steer geo-aware providers.
+async function collect(providers, opts, config, dateRange, { log, track }) {
+  const enrich = opts.enrich || config.enrich?.enabled === true;
+  const mode = cacheMode(opts);
+
+  log(`🔍 Events: ${opts.city}, ${format(dateRange.start, 'dd.MM.')} – ${format(dateRange.end, 'dd.MM.yyyy')}, ${opts.radius}km`);
+  const { events: fetched, okSources, allCached } = await fetchProviders(providers, dateRange, opts, config, mode, log);
+  // Before dedup: proper titles and times from detail pages merge better.
+  // APIs and feeds already carry full data; only scraped lists are followed.
+  const scraped = providers.filter(p => p.adapter).map(p => p.adapter.source);
+  const raw = enrich ? await enrichEvents(fetched, { sources: scraped, ...config.enrich }, log) : fetched;
+
+  // Per source, so an "ABGESAGT" title survives the merge
+  const events = dedup(raw.map(detectStatus))
+    .map(e => finalizeEvent(classifyEvent({ ...e, id: eventId(e) })));
+
+  let tracked = null;
+  if (track) {
+    // Every tracked run updates the store; flags are only shown on request
+    const store = loadStore();
+    tracked = trackEvents(store, events, { dateRange, okSources });
+    saveStore(store);
+  }
+  if (!allCached && mode !== 'off') pruneCache(config);
+
+  return { events: opts.sinceLastRun && tracked ? tracked : events, cached: allCached };
+}
+
+/**
+ * Returns `{ events, cached }` (`cached`: every provider came from its
+ * cache). With `track`, the run is recorded in the event store;
+ * `opts.sinceLastRun` then adds new/changed/disappeared flags.
+ */
+async function aggregate(opts, config, dateRange, { log = () => {}, track = false } = {}) {
+  prepareOpts(opts, config);
+  const providers = selectProviders(discoverProviders(config), opts, config);
+  const enrich = opts.enrich || config.enrich?.enabled === true;
+  const mode = cacheMode(opts);
+
+  const runKey = `events_${opts.city}_${format(dateRange.start, 'yyyy-MM-dd')}_${format(dateRange.end, 'yyyy-MM-dd')}_${opts.geo.lat},${opts.geo.lon}_${opts.radius}_${providers.map(p => p.name).join(',')}${enrich ? '_enrich' : ''}_${mode}`;
+  if (!track && inflight.has(runKey)) {
+    const shared = await inflight.get(runKey);
+    return { events: await personalize(shared.events, opts, config, log), cached: true };
+  }
+
+  const run = collect(providers, opts, config, dateRange, { log, track })
+    .then(r => ({ events: filterByRadius(r.events, opts.geo, opts.radius), cached: r.cached }));
+
+  inflight.set(runKey, run);
+  try {
+    const result = await run;
+    return { events: await personalize(result.events, opts, config, log), cached: result.cached };
+  } finally {
+    inflight.delete(runKey);
+  }
+}
+
+/**
+ * Several regions from one run: every provider any region needs is fetched
+ * once, for an area covering all of them, and goes through one dedup and
+ * one event-store update. `regions`: `[{ name, opts }]` from
+ * `resolveRegions`. Returns `{ regions: [{ name, opts, events }], cached }`.
+ */
+async function aggregateRegions(regions, opts, config, dateRange, { log = () => {}, track = false } = {}) {
+  const all = discoverProviders(config);
+  const selected = regions.map(r => ({ ...r, providers: selectProviders(all, prepareOpts(r.opts, config), config) }));
+  const providers = [...new Map(selected.flatMap(r => r.providers).map(p => [p.name, p])).values()];
+  const area = coverage(selected.map(r => r.opts));
+
+  const { events, cached } = await collect(providers, { ...opts, ...area, city: area.geo.name }, config, dateRange, { log, track });
+  const results = [];
+  for (const r of selected) {
+    const names = new Set(r.providers.map(p => p.name));
+    const own = events.filter(e => (e.sources || [e]).some(s => names.has(s.provider)));
+    results.push({ name: r.name, opts: r.opts, events: await personalize(filterByRadius(own, r.opts.geo, r.opts.radius), r.opts, config, log) });
+  }
+  return { regions: results, cached };
+}
+
+module.exports = { providerHealth, prepareOpts, withInterest, applyFilters, aggregate, aggregateRegions };
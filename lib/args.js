@@ -0,0 +1,86 @@
+/**
+ * CLI / query parameter parsing
+ *
+ * The HTTP and MCP servers build the same argv list from their inputs,
+ * so every entry point accepts exactly the same options.
+ */
+
+const { validateTypes } = require('./classify');
+const { parseTimeOfDay } = require('./search');
+
+function parseList(str) {
+  return str.split(',').map(s => s.trim()).filter(Boolean);
+}
+
+function parseArgs(args = process.argv.slice(2)) {
+  const opts = {
+    city: process.env.CITY || 'Gießen',
+    center: process.env.CENTER || null,
+    radius: parseInt(process.env.RADIUS_KM || '50'),
+    types: null,
+    excludeTypes: null,
+    limit: null,
+    date: null,
+    sources: null,
+    excludeSources: null,
+    region: null,
+    allRegions: args.includes('--all-regions'),
+    json: args.includes('--json'),
+    ics: args.includes('--ics'),
+    discordWebhook: null,
+    profileName: process.env.PROFILE || null,
+    sinceLastRun: args.includes('--since-last-run'),
+    enrich: args.includes('--enrich'),
+    refresh: args.includes('--refresh'),
+    noCache: args.includes('--no-cache'),
+    cacheInfo: args.includes('--cache-info'),
+    includeCancelled: args.includes('--include-cancelled'),
+    weather: args.includes('--weather'),
+    hideBadWeather: args.includes('--hide-bad-weather'),
+    query: null,
+    exclude: null,
+    source: null,
+    venue: null,
+    free: args.includes('--free'),
+    maxPrice: null,
+    after: null,
+    before: null,
+    port: parseInt(process.env.PORT || '3000'),
+  };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--radius' && args[i+1]) opts.radius = parseInt(args[++i]);
+    if (args[i] === '--type' && args[i+1]) opts.types = args[++i] === 'all' ? null : parseList(args[i]);
+    if (args[i] === '--exclude-type' && args[i+1]) opts.excludeTypes = parseList(args[++i]);
+    if (args[i] === '--date' && args[i+1]) opts.date = args[++i];
+    if (args[i] === '--limit' && args[i+1]) opts.limit = parseInt(args[++i]);
+    if (args[i] === '--city' && args[i+1]) opts.city = args[++i];
+    if (args[i] === '--center' && args[i+1]) opts.center = args[++i];
+    if (args[i] === '--sources' && args[i+1]) opts.sources = parseList(args[++i]);
+    if (args[i] === '--exclude-sources' && args[i+1]) opts.excludeSources = parseList(args[++i]);
+    if (args[i] === '--region' && args[i+1]) opts.region = parseList(args[++i]);
+    if (args[i] === '--discord-webhook' && args[i+1]) opts.discordWebhook = args[++i];
+    if (args[i] === '--profile' && args[i+1]) opts.profileName = args[++i];
+    if (args[i] === '--port' && args[i+1]) opts.port = parseInt(args[++i]);
+    if (args[i] === '--query' && args[i+1]) opts.query = args[++i];
+    if (args[i] === '--exclude' && args[i+1]) opts.exclude = parseList(args[++i]);
+    if (args[i] === '--source' && args[i+1]) opts.source = parseList(args[++i]);
+    if (args[i] === '--venue' && args[i+1]) opts.venue = args[++i];
+    if (args[i] === '--max-price' && args[i+1]) opts.maxPrice = parseFloat(args[++i].replace(',', '.').replace(/\s*(€|eur|euro)$/i, ''));
+    if (args[i] === '--after' && args[i+1]) opts.after = args[++i];
+    if (args[i] === '--before' && args[i+1]) opts.before = args[++i];
+  }
+  if (isNaN(opts.radius)) throw new Error('Ungültiger Radius');
+  if (opts.limit != null && !(opts.limit > 0)) throw new Error('Ungültiges Limit (positive Zahl erwartet)');
+  if (opts.maxPrice != null && !(opts.maxPrice >= 0)) throw new Error('Ungültiger Höchstpreis (z.B. --max-price 20)');
+  for (const flag of ['after', 'before']) {
+    if (opts[flag] == null) continue;
+    const time = parseTimeOfDay(opts[flag]);
+    if (!time) throw new Error(`Ungültige Uhrzeit "${opts[flag]}" für --${flag} (z.B. 18:00)`);
+    opts[flag] = time;
+  }
+  validateTypes(opts.types);
+  validateTypes(opts.excludeTypes);
+  return opts;
+}
+
+module.exports = { parseList, parseArgs };
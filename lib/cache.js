@@ -0,0 +1,199 @@
+/**
+ * Provider-Cache (.cache/providers/)
+ *
+ * Jeder Provider wird einzeln mit eigener TTL gecacht (Rohdaten vor
+ * dedup/classify). Abgelaufene Einträge bleiben als Fallback liegen: fällt
+ * eine Quelle aus, liefert sie ihr letztes gutes Ergebnis als "stale".
+ * `pruneCache` hält das ganze .cache-Verzeichnis (Docker-Volume) klein.
+ *
+ * Einstellungen über `cache` in config.json:
+ *   { "ttlMinutes": 30, "staleMaxHours": 168, "maxAgeDays": 30, "maxMb": 100 }
+ * TTL pro Provider: `providers.<name>.cacheTtlMinutes`. Der Schlüssel enthält
+ * einen Hash der Provider-Config, geänderte Feeds/URLs laden also sofort neu.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { format } = require('date-fns');
+
+const CACHE_DIR = path.join(__dirname, '..', '.cache');
+const PROVIDER_CACHE_DIR = path.join(CACHE_DIR, 'providers');
+const DEFAULTS = { ttlMinutes: 30, staleMaxHours: 7 * 24, maxAgeDays: 30, maxMb: 100 };
+
+// The event store has its own retention (lib/store.js)
+const KEEP = new Set(['event-store.jsonl', 'event-store.meta.json']);
+// Merged-list caches from before the per-provider cache
+const LEGACY = /^[0-9a-f]{32}\.json$/;
+
+function cacheSettings(config = {}) {
+  return { ...DEFAULTS, ...(config.cache || {}) };
+}
+
+// ── Provider Cache ──────────────────────────────────────────────────────
+
+// Settings that only steer caching or selection don't change the result
+const NOT_RESULT = new Set(['enabled', 'cacheTtlMinutes']);
+
+// Hash of what shapes a provider's result: its config.json entry (feeds,
+// urls, pageSize, …) and, for site adapters, the adapter definition
+function providerConfigHash(p, providerCfg = {}) {
+  const cfg = Object.fromEntries(Object.entries(providerCfg).filter(([k]) => !NOT_RESULT.has(k)));
+  const json = JSON.stringify({ cfg, adapter: p.adapter || null }, (k, v) => (v instanceof RegExp ? String(v) : v));
+  return crypto.createHash('md5').update(json).digest('hex').slice(0, 12);
+}
+
+function providerCacheKey(p, opts, dateRange, providerCfg = {}) {
+  return [
+    p.name,
+    format(dateRange.start, 'yyyy-MM-dd'),
+    format(dateRange.end, 'yyyy-MM-dd'),
+    `${opts.geo.lat},${opts.geo.lon}`,
+    opts.radius,
+    providerConfigHash(p, providerCfg),
+  ].join('|');
+}
+
+function providerCacheFile(key) {
+  const name = key.split('|')[0].replace(/[^a-z0-9_-]/gi, '_');
+  return path.join(PROVIDER_CACHE_DIR, `${name}-${crypto.createHash('md5').update(key).digest('hex')}.json`);
+}
+
+// `{ ts, provider, result }` regardless of age, null on a miss
+function readProviderCache(key) {
+  try {
+    return JSON.parse(fs.readFileSync(providerCacheFile(key), 'utf-8'));
+  } catch { return null; }
+}
+
+// Caches are best effort: a full or read-only disk must not cost the run.
+// Returns the error instead of throwing, so passes can mention it in their log.
+function writeCacheFile(file, data) {
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(data));
+    return null;
+  } catch (e) {
+    return e;
+  }
+}
+
+function writeProviderCache(key, provider, result) {
+  writeCacheFile(providerCacheFile(key), { ts: Date.now(), provider, key, result });
+}
+
+function providerTtlMs(p, providerCfg, config) {
+  const minutes = providerCfg.cacheTtlMinutes ?? p.cacheTtlMinutes ?? cacheSettings(config).ttlMinutes;
+  return minutes * 60 * 1000;
+}
+
+// "gerade eben", "vor 12 Min.", "vor 3 Std.", "vor 2 Tagen"
+function ageLabel(ms) {
+  const min = Math.round(ms / 60000);
+  if (min < 1) return 'gerade eben';
+  if (min < 60) return `vor ${min} Min.`;
+  if (min < 48 * 60) return `vor ${Math.round(min / 60)} Std.`;
+  return `vor ${Math.round(min / 1440)} Tagen`;
+}
+
+// ── Inspect & Prune ─────────────────────────────────────────────────────
+
+function listFiles(dir = CACHE_DIR) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(d => {
+    const file = path.join(dir, d.name);
+    if (d.isDirectory()) return listFiles(file);
+    const st = fs.statSync(file);
+    return [{ file, name: d.name, group: path.relative(CACHE_DIR, dir) || '.', bytes: st.size, mtimeMs: st.mtimeMs }];
+  });
+}
+
+const GROUP_LABELS = {
+  providers: 'Provider-Cache',
+  details: 'Detailseiten',
+  weather: 'Wettervorhersagen',
+  http: 'HTTP-Validatoren',
+  '.': 'Event-Store & Sonstiges',
+};
+
+/**
+ * Summary for --cache-info: size per directory and one line per cached
+ * provider result (age, fresh/stale, event count).
+ */
+function cacheInfo(config = {}, providers = [], now = Date.now()) {
+  const files = listFiles();
+  const groups = {};
+  for (const f of files) {
+    const g = groups[f.group] || (groups[f.group] = { label: GROUP_LABELS[f.group] || f.group, files: 0, bytes: 0 });
+    g.files++;
+    g.bytes += f.bytes;
+  }
+
+  const settings = cacheSettings(config);
+  const entries = files.filter(f => f.group === 'providers').map(f => {
+    let d;
+    try { d = JSON.parse(fs.readFileSync(f.file, 'utf-8')); } catch { return null; }
+    const p = providers.find(x => x.name === d.provider) || { name: d.provider };
+    const ttl = providerTtlMs(p, (config.providers || {})[d.provider] || {}, config);
+    const [, start, end] = (d.key || '').split('|');
+    return {
+      provider: d.provider,
+      range: start ? `${start}:${end}` : null,
+      ageMs: now - d.ts,
+      fresh: now - d.ts <= ttl,
+      usableAsStale: now - d.ts <= settings.staleMaxHours * 3600 * 1000,
+      count: d.result?.events?.length ?? 0,
+    };
+  }).filter(Boolean).sort((a, b) => a.provider.localeCompare(b.provider) || a.ageMs - b.ageMs);
+
+  return {
+    dir: CACHE_DIR,
+    bytes: files.reduce((n, f) => n + f.bytes, 0),
+    groups,
+    providers: entries,
+  };
+}
+
+/**
+ * Deletes provider results past the stale window, anything older than
+ * `maxAgeDays` and, if the directory is still above `maxMb`, the oldest
+ * files first. The event store is never touched.
+ */
+function pruneCache(config = {}, now = Date.now()) {
+  const settings = cacheSettings(config);
+  let files = listFiles().filter(f => !KEEP.has(f.name));
+  let removed = 0;
+  let freed = 0;
+  const remove = f => {
+    try {
+      fs.unlinkSync(f.file);
+      removed++;
+      freed += f.bytes;
+    } catch { /* already gone */ }
+  };
+
+  const maxAge = settings.maxAgeDays * 24 * 3600 * 1000;
+  const staleAge = settings.staleMaxHours * 3600 * 1000;
+  files = files.filter(f => {
+    const age = now - f.mtimeMs;
+    const expired = age > maxAge
+      || (f.group === 'providers' && age > staleAge)
+      || (f.group === '.' && LEGACY.test(f.name));
+    if (expired) remove(f);
+    return !expired;
+  });
+
+  const maxBytes = settings.maxMb * 1024 * 1024;
+  let total = listFiles().reduce((n, f) => n + f.bytes, 0);
+  for (const f of files.sort((a, b) => a.mtimeMs - b.mtimeMs)) {
+    if (total <= maxBytes) break;
+    remove(f);
+    total -= f.bytes;
+  }
+  return { removed, freedBytes: freed };
+}
+
+module.exports = {
+  CACHE_DIR, PROVIDER_CACHE_DIR, cacheSettings, providerCacheKey, readProviderCache, writeProviderCache,
+  writeCacheFile, providerTtlMs, ageLabel, cacheInfo, pruneCache,
+};
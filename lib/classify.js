@@ -0,0 +1,142 @@
+/**
+ * Category Classifier
+ *
+ * Keyword taxonomy (German/English) applied to every provider's events.
+ * Name and description decide first; the venue only counts when they
+ * give no hint ("Konzert im Stadttheater" is music, not theater).
+ * `detectStatus` marks cancelled/postponed/sold-out events the same way.
+ */
+
+// Order = precedence for the primary `type`
+const TAXONOMY = [
+  { type: 'kids', label: 'Kinder & Familie', keywords: /kinder|\bkids?\b|famili|family|jugend|puppentheater|puppenspiel|märchen|ferienspiel|basteln|schüler/i },
+  { type: 'comedy', label: 'Comedy & Kabarett', keywords: /comedy|comedian|kabarett|cabaret|stand-?up|satire|poetry\s*slam|improtheater|impro-?show/i },
+  { type: 'music', label: 'Musik', keywords: /konzert|concert|live-?musik|live music|\bband\b|orchester|orchestra|\bchor\b|choir|jazz|\brock\b|\bpop\b|klassik|liederabend|singer|songwriter|sinfonie|symphon|a cappella/i },
+  { type: 'theater', label: 'Theater & Bühne', keywords: /theater|theatre|schauspiel|\boper\b|operette|musical|ballett|ballet|tanztheater|inszenierung|bühnenstück|premiere/i },
+  { type: 'party', label: 'Party', keywords: /party|\bdisco\b|\bclub\s*night|clubnacht|\bdj\b|\brave\b|tanznacht|tanzabend|ü\s*30|ue30|after\s*work/i },
+  { type: 'exhibition', label: 'Ausstellung', keywords: /ausstellung|exhibition|vernissage|finissage|galerie|gallery|museum|kunstschau|sonderschau/i },
+  { type: 'market', label: 'Markt', keywords: /markt\b|märkte\b|trödel|basar|bazaar|\bmarket\b|kirmes|\bkerb\b|flohmarkt/i },
+  { type: 'lecture', label: 'Vortrag & Lesung', keywords: /vortrag|vorlesung|lesung|lecture|\btalk\b|seminar|workshop|diskussion|podium|führung|guided tour|reading|symposium/i },
+  { type: 'sport', label: 'Sport', keywords: /\bsport|\blauf\b|stadtlauf|volkslauf|marathon|turnier|tournament|spieltag|fußball|football|handball|basketball|volleyball|radtour|wanderung|hiking|\byoga\b|fitness|gravel|\bmtb\b|klettern|bouldern/i },
+];
+
+const TYPES = TAXONOMY.map(t => t.type);
+
+// Ticketmaster segment/genre → taxonomy (genre wins over segment)
+const TICKETMASTER_GENRES = {
+  comedy: 'comedy',
+  theatre: 'theater',
+  'musical': 'theater',
+  'opera': 'theater',
+  'dance': 'theater',
+  'children\'s theatre': 'kids',
+  'fine art': 'exhibition',
+  'magic & illusion': 'theater',
+  'spectacular': 'theater',
+};
+const TICKETMASTER_SEGMENTS = {
+  music: 'music',
+  sports: 'sport',
+  'arts & theatre': 'theater',
+  family: 'kids',
+};
+
+function fromTicketmaster(classification) {
+  if (!classification) return 'other';
+  const genre = classification.genre?.name?.toLowerCase();
+  const segment = classification.segment?.name?.toLowerCase();
+  if (classification.family) return 'kids';
+  return TICKETMASTER_GENRES[genre] || TICKETMASTER_SEGMENTS[segment] || 'other';
+}
+
+// schema.org Event subtypes (MusicEvent, TheaterEvent, …)
+const SCHEMA_ORG_TYPES = {
+  MusicEvent: 'music',
+  TheaterEvent: 'theater',
+  ComedyEvent: 'comedy',
+  ChildrensEvent: 'kids',
+  ExhibitionEvent: 'exhibition',
+  VisualArtsEvent: 'exhibition',
+  SportsEvent: 'sport',
+  SaleEvent: 'market',
+  EducationEvent: 'lecture',
+  LiteraryEvent: 'lecture',
+  DanceEvent: 'party',
+};
+
+function fromSchemaOrg(types) {
+  for (const t of [].concat(types || [])) if (SCHEMA_ORG_TYPES[t]) return SCHEMA_ORG_TYPES[t];
+  return 'other';
+}
+
+function matchTypes(text) {
+  if (!text) return [];
+  return TAXONOMY.filter(t => t.keywords.test(text)).map(t => t.type);
+}
+
+// Adds `types` (all matches) and sets `type` to the primary one.
+// A taxonomy type already set by the provider stays primary.
+function classifyEvent(e) {
+  const types = [];
+  if (TYPES.includes(e.type)) types.push(e.type);
+  const text = [e.name, e.description, ...(e.categories || [])].filter(Boolean).join(' ');
+  let matched = matchTypes(text);
+  if (!matched.length && !types.length) matched = matchTypes(e.venue);
+  for (const t of matched) if (!types.includes(t)) types.push(t);
+  return { ...e, type: types[0] || 'other', types };
+}
+
+// ── Event status ────────────────────────────────────────────────────────
+
+const STATUSES = ['scheduled', 'cancelled', 'postponed', 'rescheduled', 'moved', 'soldout'];
+
+// Badge per status (none for "scheduled")
+const STATUS_BADGES = {
+  cancelled: { icon: '🚫', label: 'abgesagt' },
+  postponed: { icon: '⏸️', label: 'verschoben' },
+  rescheduled: { icon: '📆', label: 'neuer Termin' },
+  moved: { icon: '📍', label: 'neuer Ort' },
+  soldout: { icon: '🎟️', label: 'ausverkauft' },
+};
+
+// Markers in scraped titles/descriptions; order = precedence
+const STATUS_KEYWORDS = [
+  { status: 'cancelled', keywords: /abgesagt|\bentfällt\b|\bentfallen\b|fällt\s+(leider\s+)?aus\b|\bausgefallen\b|\bstorniert\b|\bcancell?ed\b/i },
+  { status: 'rescheduled', keywords: /neuer\s+termin(?!\s+(folgt|wird|steht))|ersatztermin|nachholtermin|(verschoben|verlegt)\s+auf\s+(den\s+)?\d|\brescheduled\b/i },
+  { status: 'postponed', keywords: /verschoben|\bpostponed\b/i },
+  { status: 'moved', keywords: /ortswechsel|neuer\s+(veranstaltungs)?ort\b|verlegt\s+(in|ins|nach)\b|\bmoved\s+to\b|\bnew\s+venue\b/i },
+  { status: 'soldout', keywords: /ausverkauft|\bsold\s*out\b/i },
+];
+
+// Keeps a status reported by the provider; otherwise looks for markers
+// like "ABGESAGT" or "ausverkauft" in name and description
+function detectStatus(e) {
+  if (STATUSES.includes(e.status) && e.status !== 'scheduled') return e;
+  const text = [e.name, e.description].filter(Boolean).join(' ');
+  const hit = STATUS_KEYWORDS.find(s => s.keywords.test(text));
+  return { ...e, status: hit ? hit.status : 'scheduled' };
+}
+
+function validateTypes(list) {
+  for (const t of list || []) {
+    if (t !== 'other' && !TYPES.includes(t)) {
+      throw new Error(`Unbekannter Typ "${t}" (verfügbar: ${TYPES.join(', ')}, other)`);
+    }
+  }
+}
+
+// Strict: an event matches if any of its types is in `include`
+// and none is in `exclude`
+function filterByType(events, include, exclude) {
+  return events.filter(e => {
+    const types = e.types && e.types.length ? e.types : [e.type || 'other'];
+    if (include && !types.some(t => include.includes(t))) return false;
+    if (exclude && types.some(t => exclude.includes(t))) return false;
+    return true;
+  });
+}
+
+module.exports = {
+  TAXONOMY, TYPES, STATUSES, STATUS_BADGES, fromTicketmaster, fromSchemaOrg, classifyEvent, detectStatus,
+  validateTypes, filterByType,
+};
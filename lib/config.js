@@ -0,0 +1,29 @@
+/**
+ * Optionale JSON-Konfiguration (config.json bzw. CONFIG_PATH)
+ *
+ * {
+ *   "providers": {
+ *     "marburg-deskline": { "enabled": true }
+ *   }
+ * }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_PATH = path.join(__dirname, '..', 'config.json');
+
+function loadConfig(file = process.env.CONFIG_PATH || CONFIG_PATH) {
+  if (!fs.existsSync(file)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (e) {
+    throw new Error(`Config ${file} ungültig: ${e.message}`);
+  }
+}
+
+function providerConfig(config, name) {
+  return (config.providers && config.providers[name]) || {};
+}
+
+module.exports = { CONFIG_PATH, loadConfig, providerConfig };
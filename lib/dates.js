@@ -0,0 +1,316 @@
+/**
+ * Date Parsing (German) & date ranges
+ */
+
+const {
+  addDays, addMonths, startOfDay, endOfDay, startOfMonth, endOfMonth, startOfISOWeek, endOfISOWeek, setISOWeek,
+  getISOWeeksInYear,
+} = require('date-fns');
+
+// ── --date expressions ──────────────────────────────────────────────────
+//
+// German and English: "heute", "morgen", "Wochenende", "nächstes Wochenende",
+// "diese Woche", "nächste Woche", "nächster Monat", "November", "Freitag",
+// "Freitag bis Sonntag", "+14d", "nächste 14 Tage", "KW 12", "24.10.",
+// "2026-03-01", "2026-03-01:2026-03-07", "ab morgen". Relative to the process time zone,
+// which index.js pins to Europe/Berlin.
+
+// The weekend starts Friday evening
+const WEEKEND_START_HOUR = 18;
+const DEFAULT_DAYS = 7;
+// "ab morgen" has no end; sources rarely list further ahead
+const OPEN_END_DAYS = 365;
+
+const WEEKDAYS = [
+  /^(so|sonntag|sun|sunday)$/,
+  /^(mo|montag|mon|monday)$/,
+  /^(di|dienstag|tue|tues|tuesday)$/,
+  /^(mi|mittwoch|wed|wednesday)$/,
+  /^(do|donnerstag|thu|thurs|thursday)$/,
+  /^(fr|freitag|fri|friday)$/,
+  /^(sa|samstag|sonnabend|sat|saturday)$/,
+];
+
+const dayRange = d => ({ start: startOfDay(d), end: endOfDay(d) });
+
+// Friday evening to Sunday. "weekend" is the current one from Friday on,
+// otherwise the coming one; "next weekend" is the one after a running one.
+function weekend(now, next = false) {
+  const day = now.getDay();
+  const running = day === 5 || day === 6 || day === 0;
+  const sunday = addDays(startOfDay(now), (7 - day) % 7 + (next && running ? 7 : 0));
+  const friday = addDays(sunday, -2);
+  friday.setHours(WEEKEND_START_HOUR);
+  // On Saturday/Sunday the rest of today counts
+  const start = !next && (day === 6 || day === 0) ? startOfDay(now) : friday;
+  return { start, end: endOfDay(sunday) };
+}
+
+// First day on/after `ref` with the given weekday
+function nextWeekday(ref, wd, strictlyAfter = false) {
+  const diff = (wd - ref.getDay() + 7) % 7;
+  return addDays(startOfDay(ref), diff === 0 && strictlyAfter ? 7 : diff);
+}
+
+// Day/month without a year means the next such day from `ref` on
+function upcoming(y, m, d, ref) {
+  const date = new Date(y ?? ref.getFullYear(), m - 1, d);
+  if (date.getMonth() !== m - 1 || date.getDate() !== d) return null;
+  return y == null && date < startOfDay(ref) ? new Date(ref.getFullYear() + 1, m - 1, d) : date;
+}
+
+/**
+ * One side of an expression → `{ start, end }`. Relative words count from
+ * `now`; weekdays, months and dates without a year from `ref` (the start
+ * of the range, for the right side of "Freitag bis Sonntag").
+ */
+function parsePoint(s, now, ref = now) {
+  let m;
+  if (/^(heute|today)$/.test(s)) return dayRange(now);
+  if (/^(morgen|tomorrow)$/.test(s)) return dayRange(addDays(now, 1));
+  if (/^(übermorgen|day after tomorrow)$/.test(s)) return dayRange(addDays(now, 2));
+
+  if (/^((dieses )?wochenende|(this )?weekend)$/.test(s)) return weekend(now);
+  if (/^(nächstes wochenende|next weekend)$/.test(s)) return weekend(now, true);
+  if (/^(diese woche|this week)$/.test(s)) return { start: startOfDay(now), end: endOfISOWeek(now) };
+  if (/^(nächste woche|next week)$/.test(s)) {
+    const monday = addDays(startOfISOWeek(now), 7);
+    return { start: monday, end: endOfISOWeek(monday) };
+  }
+  if (/^(diese[nrs]? monat|this month)$/.test(s)) return { start: startOfDay(now), end: endOfMonth(now) };
+  if (/^(nächste[nrs]? monat|next month)$/.test(s)) {
+    const first = startOfMonth(addMonths(now, 1));
+    return { start: first, end: endOfMonth(first) };
+  }
+
+  // "+14d", "+2w", "14 Tage", "nächste 14 Tage", "next 14 days"
+  if ((m = s.match(/^\+(\d{1,3})\s*([dtw])$/) || s.match(/^(?:(?:die )?nächsten? |next )?(\d{1,3}) (tage?|days?|wochen?|weeks?)$/))) {
+    const days = parseInt(m[1], 10) * (/^w/.test(m[2]) ? 7 : 1);
+    return { start: startOfDay(now), end: endOfDay(addDays(now, days)) };
+  }
+
+  // "KW 12", "KW12 2027", "CW 12", "week 12"
+  if ((m = s.match(/^(?:kw|cw|week) ?(\d{1,2})(?: (\d{4}))?$/))) {
+    const week = parseInt(m[1], 10);
+    let year = m[2] ? parseInt(m[2], 10) : now.getFullYear();
+    if (week < 1 || week > getISOWeeksInYear(new Date(year, 0, 4))) return null;
+    let start = startOfISOWeek(setISOWeek(new Date(year, 0, 4), week));
+    if (!m[2] && endOfISOWeek(start) < now) {
+      year++;
+      start = startOfISOWeek(setISOWeek(new Date(year, 0, 4), week));
+    }
+    return { start, end: endOfISOWeek(start) };
+  }
+
+  // "freitag", "nächsten Freitag", "next friday", "märz"
+  if ((m = s.match(/^(?:(nächste[nrs]?|next) )?([a-zäöüß]+)$/))) {
+    const wd = WEEKDAYS.findIndex(re => re.test(m[2]));
+    if (wd >= 0) return dayRange(nextWeekday(ref, wd, !!m[1]));
+    const month = m[1] ? 0 : monthIndex(m[2]);
+    if (month > 0 && m[2].length >= 3) {
+      const first = upcoming(null, month, 1, startOfMonth(ref));
+      return { start: first, end: endOfMonth(first) };
+    }
+  }
+  // "november 2026"
+  if ((m = s.match(/^([a-zä]{3,}) (\d{4})$/)) && monthIndex(m[1]) > 0) {
+    const first = new Date(parseInt(m[2], 10), monthIndex(m[1]) - 1, 1);
+    return { start: first, end: endOfMonth(first) };
+  }
+
+  // "24.10.", "24.10.2026"
+  if ((m = s.match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})?$/))) {
+    const d = upcoming(m[3] ? parseInt(m[3], 10) : null, parseInt(m[2], 10), parseInt(m[1], 10), ref);
+    return d ? dayRange(d) : null;
+  }
+  // "2026-10-24"
+  if ((m = s.match(/^(\d{4})-(\d{2})-(\d{2})$/))) {
+    const d = upcoming(parseInt(m[1], 10), parseInt(m[2], 10), parseInt(m[3], 10), ref);
+    return d ? dayRange(d) : null;
+  }
+  return null;
+}
+
+const EXAMPLES = 'heute, morgen, Wochenende, nächste Woche, Freitag bis Sonntag, +14d, KW 12, 24.10., ab morgen, 2026-03-01:2026-03-07';
+
+/**
+ * `--date` expression → `{ start, end }`. Without one, `defaultDate` (config)
+ * or the next 7 days. Throws a German error for anything it can't read.
+ */
+function getDateRange(dateStr, { defaultDate = null, now = new Date() } = {}) {
+  if (!dateStr) {
+    if (defaultDate) return getDateRange(defaultDate, { now });
+    return { start: startOfDay(now), end: endOfDay(addDays(now, DEFAULT_DAYS)) };
+  }
+
+  const words = dateStr.toLowerCase().normalize('NFC')
+    .replace(/naechst/g, 'nächst').replace(/uebermorgen/g, 'übermorgen')
+    .replace(/\s+/g, ' ').trim();
+  const openEnded = /^(ab|from|since) /.test(words);
+  const s = words.replace(/^(am|on|ab|from|since) /, '');
+
+  let range = parsePoint(s, now);
+  // "ab morgen", "ab 24.10.": open-ended from the start of that point
+  if (range && openEnded) return { start: range.start, end: endOfDay(addDays(range.start, OPEN_END_DAYS)) };
+  if (!range) {
+    // "2026-03-01:2026-03-07", "Freitag bis Sonntag", "Fr-So", "24.10.–2.11."
+    const parts = s.split(/(?<=\d{4}-\d{2}-\d{2}):(?=\d{4})| ?(?:\bbis\b|\bto\b|\buntil\b|–|—) ?| - |(?<=[a-zäöü.])-(?=[a-zäöü\d])/);
+    if (parts.length === 2) {
+      const from = parsePoint(parts[0].trim(), now);
+      const to = from && parsePoint(parts[1].trim(), now, from.start);
+      if (to) {
+        if (to.end < from.start) throw new Error(`Zeitraum "${dateStr}" endet vor seinem Beginn`);
+        range = { start: from.start, end: to.end };
+      }
+    }
+  }
+  if (!range) throw new Error(`Unbekannter Zeitraum "${dateStr}" (z.B. ${EXAMPLES})`);
+  return range;
+}
+
+function parseDateDE(str) {
+  if (!str) return null;
+  // "Sa, 15.02.2026 20:00" or "15.02.2026" or "15. Feb 2026"
+  const m = str.match(/(\d{1,2})\.(\d{1,2})\.(\d{4})(?:\s+(\d{1,2}):(\d{2}))?/);
+  if (m) {
+    const [, d, mo, y, h, min] = m;
+    return `${y}-${mo.padStart(2,'0')}-${d.padStart(2,'0')}T${(h||'00').padStart(2,'0')}:${(min||'00').padStart(2,'0')}:00`;
+  }
+  // "11. und 12. April", "30. April 2025", "10. und 11. Oktober 2026"
+  const months = ['januar','februar','märz','april','mai','juni','juli','august','september','oktober','november','dezember'];
+  const rangeMatch = str.match(/(\d{1,2})\.?\s+und\s+(\d{1,2})\.?\s+(\w+)\s+(\d{4})?/i);
+  const singleMatch = str.match(/(\d{1,2})\.?\s+(\w+)\s+(\d{4})?/i);
+  const now = new Date();
+  const year = (rangeMatch && rangeMatch[4]) || (singleMatch && singleMatch[3]) || String(now.getFullYear());
+  let monthNum, day;
+  if (rangeMatch) {
+    const mon = rangeMatch[3].toLowerCase().replace(/ä/g,'a');
+    monthNum = months.findIndex(m => mon.startsWith(m.slice(0,3))) + 1;
+    day = parseInt(rangeMatch[1], 10);
+  } else if (singleMatch) {
+    const mon = singleMatch[2].toLowerCase().replace(/ä/g,'a');
+    monthNum = months.findIndex(m => mon.startsWith(m.slice(0,3))) + 1;
+    day = parseInt(singleMatch[1], 10);
+  } else return null;
+  if (monthNum < 1 || monthNum > 12) return null;
+  return `${year}-${String(monthNum).padStart(2,'0')}-${String(day).padStart(2,'0')}T00:00:00`;
+}
+
+const MONTHS = ['jan', 'feb', 'mär', 'apr', 'mai', 'jun', 'jul', 'aug', 'sep', 'okt', 'nov', 'dez'];
+
+function monthIndex(name) {
+  const mon = name.toLowerCase().replace(/^mae?rz/, 'mär').replace(/^oct/, 'okt').replace(/^dec/, 'dez').replace(/^may/, 'mai');
+  return MONTHS.findIndex(m => mon.startsWith(m)) + 1;
+}
+
+// Naive local ISO for a day, "2026-04-11T00:00:00"
+function isoDay(y, m, d) {
+  return `${y}-${String(m).padStart(2,'0')}-${String(d).padStart(2,'0')}T00:00:00`;
+}
+
+// { start, end } where end is null for single-day events.
+// "24.02.2026 bis 26.02.2026", "24.02. - 26.02.2026", "11. und 12. April", "11. bis 13. April 2026"
+function parseDateRangeDE(str) {
+  if (!str) return null;
+  const numeric = str.match(/(\d{1,2})\.(\d{1,2})\.(\d{4})?(?:\s+(\d{1,2}:\d{2}))?\s*(?:bis|–|-)\s*(\d{1,2}\.\d{1,2}\.(\d{4}))/);
+  if (numeric) {
+    const [, d, m, y, time, endStr, endYear] = numeric;
+    const start = parseDateDE(`${d}.${m}.${y || endYear}${time ? ' ' + time : ''}`);
+    const end = parseDateDE(endStr);
+    if (start && end) return { start, end };
+  }
+  const words = str.match(/(\d{1,2})\.?\s*(?:und|bis|–|-)\s*(\d{1,2})\.?\s+([A-Za-zÄäé]{3,})(?:\s+(\d{4}))?/);
+  if (words) {
+    const month = monthIndex(words[3]);
+    if (month > 0) {
+      const year = words[4] || String(new Date().getFullYear());
+      return { start: isoDay(year, month, parseInt(words[1], 10)), end: isoDay(year, month, parseInt(words[2], 10)) };
+    }
+  }
+  const start = parseDateDE(str);
+  return start ? { start, end: null } : null;
+}
+
+const berlinFmt = new Intl.DateTimeFormat('en-GB', {
+  timeZone: 'Europe/Berlin', hourCycle: 'h23',
+  year: 'numeric', month: '2-digit', day: '2-digit',
+  hour: '2-digit', minute: '2-digit', second: '2-digit',
+});
+
+// ISO with Z/offset → naive Europe/Berlin wall clock, like the scrapers
+// produce ("2026-02-25T18:00:00Z" → "2026-02-25T19:00:00"). Naive input
+// is returned as-is, date-only input gets T00:00:00.
+function toBerlinIso(str) {
+  if (!str || typeof str !== 'string') return null;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(str)) return `${str}T00:00:00`;
+  if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?$/.test(str)) return str.length === 16 ? `${str}:00` : str;
+  const d = new Date(str);
+  if (isNaN(d)) return null;
+  const p = Object.fromEntries(berlinFmt.formatToParts(d).map(x => [x.type, x.value]));
+  return `${p.year}-${p.month}-${p.day}T${p.hour}:${p.minute}:${p.second}`;
+}
+
+const zoneFormats = new Map();
+
+function zoneFormat(tz) {
+  if (!zoneFormats.has(tz)) {
+    zoneFormats.set(tz, new Intl.DateTimeFormat('en-GB', {
+      timeZone: tz, hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit',
+    }));
+  }
+  return zoneFormats.get(tz);
+}
+
+// Offset of `tz` from UTC at the given instant, in ms
+function zoneOffsetMs(tz, utcMs) {
+  const p = Object.fromEntries(zoneFormat(tz).formatToParts(new Date(utcMs)).map(x => [x.type, +x.value]));
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(utcMs / 1000) * 1000;
+}
+
+// Wall clock "2026-03-01T19:00:00" in `tz` → naive Europe/Berlin wall clock.
+// Unknown zones are treated as Berlin.
+function zonedToBerlinIso(naive, tz) {
+  if (!tz || tz === 'Europe/Berlin') return naive;
+  const [y, mo, d, h, mi, s] = naive.split(/[-T:]/).map(Number);
+  const guess = Date.UTC(y, mo - 1, d, h || 0, mi || 0, s || 0);
+  try {
+    let t = guess - zoneOffsetMs(tz, guess);
+    t = guess - zoneOffsetMs(tz, t);
+    return toBerlinIso(new Date(t).toISOString());
+  } catch {
+    return naive;
+  }
+}
+
+// Naive Berlin wall clock → ISO with its UTC offset, independent of the
+// process TZ ("2026-10-24T20:00:00" → "2026-10-24T20:00:00+02:00")
+function withBerlinOffset(naive) {
+  if (!naive) return null;
+  const [y, mo, d, h, mi, s] = naive.split(/[-T:]/).map(Number);
+  const guess = Date.UTC(y, mo - 1, d, h || 0, mi || 0, s || 0);
+  const minutes = Math.round(zoneOffsetMs('Europe/Berlin', guess - zoneOffsetMs('Europe/Berlin', guess)) / 60000);
+  const pad = n => String(n).padStart(2, '0');
+  const abs = Math.abs(minutes);
+  return `${toBerlinIso(naive)}${minutes < 0 ? '-' : '+'}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
+
+// Date-only or midnight: the source gave no time of day
+const untimed = iso => /^\d{4}-\d{2}-\d{2}(T00:00(:00)?)?$/.test(iso);
+
+// Event [start, end] intersects the requested range. Untimed events cover
+// their whole last day, so a Friday without a time still counts for a
+// weekend that starts Friday evening.
+function overlapsRange(start, end, dateRange) {
+  const local = iso => new Date(/T/.test(iso) ? iso : `${iso}T00:00:00`);
+  const startTs = local(start).getTime();
+  const last = end || start;
+  const endTs = untimed(start) && untimed(last) ? endOfDay(local(last)).getTime() : local(last).getTime();
+  return endTs >= dateRange.start.getTime() && startTs <= dateRange.end.getTime();
+}
+
+module.exports = {
+  getDateRange, parseDateDE, parseDateRangeDE, toBerlinIso, zonedToBerlinIso, withBerlinOffset, overlapsRange,
+  monthIndex, isoDay,
+};
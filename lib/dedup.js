@@ -0,0 +1,162 @@
+/**
+ * Deduplicate & Sort
+ *
+ * The same event often shows up on several platforms with slightly
+ * different titles ("Max Mustermann – Live 2026" vs. "Max Mustermann live").
+ * Events on the same day are merged when their names are similar, their
+ * times are close and their venues don't contradict each other. The merged
+ * event keeps every source record in `sources` and takes each field from
+ * the highest-priority source that has it.
+ */
+
+const crypto = require('crypto');
+
+// Structured APIs first, then official city calendars
+const SOURCE_PRIORITY = ['ticketmaster', 'giessen.de', 'marburg.de', 'wetzlar.de'];
+
+const NAME_THRESHOLD = 0.8;
+const VENUE_THRESHOLD = 0.5;
+const TIME_WINDOW_MS = 90 * 60 * 1000;
+
+const STOPWORDS = new Set(['der', 'die', 'das', 'und', 'the', 'and', 'mit', 'live', 'in', 'im', 'am', 'von', 'a']);
+
+function normalize(str) {
+  return (str || '').toLowerCase()
+    .replace(/ä/g, 'ae').replace(/ö/g, 'oe').replace(/ü/g, 'ue').replace(/ß/g, 'ss')
+    .normalize('NFD').replace(/[̀-ͯ]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function tokens(str) {
+  return new Set(normalize(str).split(' ').filter(t => t.length > 1 && !STOPWORDS.has(t)));
+}
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+// 0..1, max of token overlap (Dice, plus containment for subtitles)
+// and normalized edit distance
+function similarity(a, b) {
+  const na = normalize(a);
+  const nb = normalize(b);
+  if (!na || !nb) return 0;
+  if (na === nb) return 1;
+
+  const ta = tokens(a);
+  const tb = tokens(b);
+  let common = 0;
+  for (const t of ta) if (tb.has(t)) common++;
+  const dice = ta.size + tb.size ? (2 * common) / (ta.size + tb.size) : 0;
+  const smaller = Math.min(ta.size, tb.size);
+  const containment = smaller >= 2 ? common / smaller : 0;
+
+  const edit = 1 - levenshtein(na, nb) / Math.max(na.length, nb.length);
+  return Math.max(dice, containment, edit);
+}
+
+function hasTime(date) {
+  return !!date && date.length > 10 && !/T00:00(:00)?$/.test(date);
+}
+
+function sameEvent(a, b) {
+  if (similarity(a.name, b.name) < NAME_THRESHOLD) return false;
+  if (hasTime(a.date) && hasTime(b.date)) {
+    if (Math.abs(new Date(a.date) - new Date(b.date)) > TIME_WINDOW_MS) return false;
+  }
+  if (a.venue && b.venue) {
+    const na = normalize(a.venue);
+    const nb = normalize(b.venue);
+    if (!na.includes(nb) && !nb.includes(na) && similarity(a.venue, b.venue) < VENUE_THRESHOLD) return false;
+  }
+  return true;
+}
+
+function sourceRank(source) {
+  const i = SOURCE_PRIORITY.indexOf(source);
+  return i === -1 ? SOURCE_PRIORITY.length : i;
+}
+
+function sourceRecord(e) {
+  return { source: e.source, provider: e.provider || null, url: e.url || null, price: e.price || null, description: e.description || null };
+}
+
+// Best value per field: highest-priority source that has a useful value
+function merge(members) {
+  const ranked = [...members].sort((a, b) => sourceRank(a.source) - sourceRank(b.source));
+  const best = (field, useful = v => v != null && v !== '') => {
+    const hit = ranked.find(e => useful(e[field]));
+    return hit ? hit[field] : null;
+  };
+
+  // Typed price fields belong to whichever source supplied the text
+  const priced = ranked.find(e => e.price) || {};
+
+  return {
+    ...ranked[0],
+    name: best('name'),
+    date: best('date', hasTime) || best('date'),
+    endDate: best('endDate'),
+    recurrence: best('recurrence'),
+    venue: best('venue'),
+    address: best('address'),
+    type: best('type', t => t && t !== 'other') || 'other',
+    url: best('url'),
+    organizer: best('organizer'),
+    price: priced.price || null,
+    priceMin: priced.priceMin ?? null,
+    priceMax: priced.priceMax ?? null,
+    currency: priced.currency ?? null,
+    free: priced.free ?? null,
+    status: best('status', s => s && s !== 'scheduled') || 'scheduled',
+    description: best('description'),
+    source: ranked[0].source,
+    sources: ranked.map(sourceRecord),
+  };
+}
+
+// Normalized name + day; also the basis for stable ids (ICS UID)
+function eventKey(e) {
+  return (e.name || '').toLowerCase().replace(/[^a-zäöüß0-9]/g, '').slice(0, 40)
+    + '|' + (e.date || '').slice(0, 10);
+}
+
+// Stable id across runs (ICS UID, event store)
+function eventId(e) {
+  return crypto.createHash('sha1').update(eventKey(e)).digest('hex').slice(0, 20);
+}
+
+function dedup(events) {
+  const byDay = new Map();
+  for (const e of events) {
+    // Undated events only merge on an exact name match
+    const day = e.date ? e.date.slice(0, 10) : eventKey(e);
+    if (!byDay.has(day)) byDay.set(day, []);
+    const clusters = byDay.get(day);
+    const hit = clusters.find(c => c.some(m => sameEvent(m, e)));
+    if (hit) hit.push(e);
+    else clusters.push([e]);
+  }
+
+  const merged = [];
+  for (const clusters of byDay.values()) {
+    for (const c of clusters) merged.push(merge(c));
+  }
+  return merged.sort((a, b) => {
+    const da = a.date ? new Date(a.date).getTime() : Infinity;
+    const db = b.date ? new Date(b.date).getTime() : Infinity;
+    return da - db;
+  });
+}
+
+module.exports = { SOURCE_PRIORITY, eventKey, eventId, similarity, sameEvent, dedup };
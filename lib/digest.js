@@ -0,0 +1,75 @@
+/**
+ * Digest layout shared by the text and Discord output:
+ * long-running events once, everything else grouped by day.
+ */
+
+const { format } = require('date-fns');
+const { matchProfile, NO_MATCH_PRIORITY } = require('./profiles');
+
+const TAGE = ['Sonntag','Montag','Dienstag','Mittwoch','Donnerstag','Freitag','Samstag'];
+
+// Exhibitions & co. spanning 3+ days are listed once under "Laufend"
+const LONG_RUNNING_DAYS = 3;
+
+function spanDays(e) {
+  if (!e.date || !e.endDate) return 1;
+  const start = new Date(e.date.slice(0, 10) + 'T12:00:00');
+  const end = new Date(e.endDate.slice(0, 10) + 'T12:00:00');
+  return Math.round((end - start) / 86400000) + 1;
+}
+
+// Profile matches first (by rule priority), then the rest, then by time
+function compareDayEvents(profile) {
+  return (a, b) => {
+    const spa = matchProfile(a, profile);
+    const spb = matchProfile(b, profile);
+    const pa = spa ? spa.priority : NO_MATCH_PRIORITY;
+    const pb = spb ? spb.priority : NO_MATCH_PRIORITY;
+    if (pa !== pb) return pa - pb;
+    const ta = a.date ? new Date(a.date).getTime() : 0;
+    const tb = b.date ? new Date(b.date).getTime() : 0;
+    return ta - tb;
+  };
+}
+
+function groupDigest(events, profile) {
+  const running = events.filter(e => spanDays(e) >= LONG_RUNNING_DAYS);
+
+  const byDay = new Map();
+  for (const e of events) {
+    if (running.includes(e)) continue;
+    const d = e.date ? new Date(e.date) : null;
+    const dayKey = d ? format(d, 'yyyy-MM-dd') : 'unknown';
+    if (!byDay.has(dayKey)) byDay.set(dayKey, []);
+    byDay.get(dayKey).push(e);
+  }
+
+  const days = [...byDay.keys()].sort().map(key => {
+    const d = key !== 'unknown' ? new Date(key + 'T12:00:00') : null;
+    return {
+      key,
+      label: d ? `${TAGE[d.getDay()]}, ${format(d, 'dd.MM.')}` : 'Datum unbekannt',
+      events: byDay.get(key).sort(compareDayEvents(profile)),
+    };
+  });
+
+  return { running, days };
+}
+
+// "10:00", "ganztägig bis Mi, 21.10." (short multi-day events stay on their first day)
+function timeLabel(e) {
+  if (!e.date) return '??:??';
+  const time = e.allDay ? 'ganztägig' : format(new Date(e.date), 'HH:mm');
+  if (!e.endDate) return time;
+  const end = new Date(e.endDate);
+  if (e.endDate.slice(0, 10) === e.date.slice(0, 10)) return e.allDay ? time : `${time}–${format(end, 'HH:mm')}`;
+  // Past midnight: "22:00–03:00"
+  if (!e.allDay && end - new Date(e.date) < 86400000) return `${time}–${format(end, 'HH:mm')}`;
+  return `${time} bis ${TAGE[end.getDay()].slice(0, 2)}, ${format(end, 'dd.MM.')}`;
+}
+
+function untilLabel(e) {
+  return `bis ${format(new Date(e.endDate.slice(0, 10) + 'T12:00:00'), 'dd.MM.')}`;
+}
+
+module.exports = { TAGE, LONG_RUNNING_DAYS, spanDays, groupDigest, timeLabel, untilLabel };
@@ -0,0 +1,151 @@
+/**
+ * Discord Webhook Delivery
+ *
+ * One embed per day (events as fields, colored by the day's top profile
+ * badge), packed into as many messages as Discord's limits require.
+ * 429 responses are retried after `retry_after`.
+ */
+
+const axios = require('axios');
+const { format } = require('date-fns');
+const { TIMEOUT } = require('./http');
+const { matchProfile } = require('./profiles');
+const { STATUS_BADGES } = require('./classify');
+const { groupDigest, timeLabel, untilLabel } = require('./digest');
+
+// https://discord.com/developers/docs/resources/message#embed-object-embed-limits
+const LIMITS = {
+  content: 2000,
+  embedsPerMessage: 10,
+  charsPerMessage: 6000,
+  fieldsPerEmbed: 25,
+  title: 256,
+  fieldName: 256,
+  fieldValue: 1024,
+};
+const DEFAULT_COLOR = 0x5865F2;
+const MAX_RETRIES = 5;
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+function truncate(str, max) {
+  return str.length > max ? str.slice(0, max - 1) + '…' : str;
+}
+
+const CHANGE_BADGES = { new: '🆕 ', changed: '✏️ ', disappeared: '❌ ' };
+
+function eventField(e, opts, prefix) {
+  const sport = matchProfile(e, opts.profile);
+  const sb = STATUS_BADGES[e.status];
+  const name = `${CHANGE_BADGES[e.changeStatus] || ''}${prefix}${e.name}${sb ? ` ${sb.icon} ${sb.label}` : ''}${sport ? ` ${sport.icon} ${sport.label}` : ''}`;
+  const parts = [];
+  if (e.recurrence) parts.push(`🔁 ${e.recurrence}`);
+  if (e.venue) parts.push(`@ ${e.venue}`);
+  if (e.distanceKm != null && e.place !== opts.geo?.name) parts.push(`${e.place || '📍'}, ${e.distanceKm} km`);
+  if (e.price) parts.push(e.price);
+  if (e.url) parts.push(`[→ Info](${e.url})`);
+  return {
+    name: truncate(name, LIMITS.fieldName),
+    value: truncate(parts.join(' · ') || '​', LIMITS.fieldValue),
+  };
+}
+
+function dayColor(events, profile) {
+  const prios = events.map(e => matchProfile(e, profile)).filter(p => p && p.color != null)
+    .sort((a, b) => a.priority - b.priority);
+  return prios.length ? prios[0].color : DEFAULT_COLOR;
+}
+
+function embedSize(embed) {
+  return (embed.title || '').length
+    + embed.fields.reduce((n, f) => n + f.name.length + f.value.length, 0);
+}
+
+// Days with more than 25 events (or too much text for one message)
+// continue in another embed
+function buildEmbeds(title, events, fieldFor, profile) {
+  const embeds = [];
+  const color = dayColor(events, profile);
+  let cur = null;
+  for (const field of events.map(fieldFor)) {
+    const full = cur && (cur.fields.length >= LIMITS.fieldsPerEmbed
+      || embedSize(cur) + field.name.length + field.value.length > LIMITS.charsPerMessage);
+    if (!cur || full) {
+      cur = { title: truncate(cur ? `${title} (Forts.)` : title, LIMITS.title), color, fields: [] };
+      embeds.push(cur);
+    }
+    cur.fields.push(field);
+  }
+  return embeds;
+}
+
+function buildDiscordMessages(events, dateRange, opts = {}) {
+  const startStr = format(dateRange.start, 'dd.MM.yyyy');
+  const endStr = format(dateRange.end, 'dd.MM.yyyy');
+  if (events.length === 0) {
+    return [{ content: `😔 Keine Events gefunden für den Zeitraum (${startStr} – ${endStr}).` }];
+  }
+
+  const { running, days } = groupDigest(events, opts.profile);
+  const embeds = [];
+  if (running.length) {
+    embeds.push(...buildEmbeds('🖼️ Laufend diese Woche', running, e => eventField(e, opts, `${untilLabel(e)} — `), opts.profile));
+  }
+  for (const day of days) {
+    embeds.push(...buildEmbeds(`📅 ${day.label}`, day.events, e => eventField(e, opts, `${timeLabel(e)} — `), opts.profile));
+  }
+
+  const content = truncate(`🎉 **${events.length} Events in ${opts.city || 'Gießen'} & Umgebung** (${startStr} – ${endStr})`, LIMITS.content);
+  const messages = [];
+  let cur = { content, embeds: [] };
+  let size = 0;
+  for (const embed of embeds) {
+    const n = embedSize(embed);
+    if (cur.embeds.length && (cur.embeds.length >= LIMITS.embedsPerMessage || size + n > LIMITS.charsPerMessage)) {
+      messages.push(cur);
+      cur = { embeds: [] };
+      size = 0;
+    }
+    cur.embeds.push(embed);
+    size += n;
+  }
+  messages.push(cur);
+  return messages;
+}
+
+function retryAfterMs(res) {
+  const body = typeof res.data?.retry_after === 'number' ? res.data.retry_after : NaN;
+  const header = parseFloat(res.headers['retry-after']);
+  const seconds = !isNaN(body) ? body : !isNaN(header) ? header : 1;
+  return Math.ceil(seconds * 1000);
+}
+
+async function postMessage(url, payload) {
+  for (let attempt = 0; ; attempt++) {
+    const res = await axios.post(url, payload, {
+      params: { wait: true },
+      timeout: TIMEOUT,
+      validateStatus: () => true,
+    });
+    if (res.status === 429 && attempt < MAX_RETRIES) {
+      await sleep(retryAfterMs(res));
+      continue;
+    }
+    if (res.status >= 300) {
+      throw new Error(`Discord webhook HTTP ${res.status}: ${JSON.stringify(res.data).slice(0, 200)}`);
+    }
+    // Bucket exhausted: wait before the next message instead of running into a 429
+    if (res.headers['x-ratelimit-remaining'] === '0') {
+      await sleep(Math.ceil(parseFloat(res.headers['x-ratelimit-reset-after'] || '0') * 1000));
+    }
+    return res.data;
+  }
+}
+
+async function sendDiscord(url, events, dateRange, opts) {
+  const messages = buildDiscordMessages(events, dateRange, opts);
+  for (const m of messages) await postMessage(url, m);
+  return messages.length;
+}
+
+module.exports = { LIMITS, buildDiscordMessages, postMessage, sendDiscord };
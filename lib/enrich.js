@@ -0,0 +1,195 @@
+/**
+ * Detailseiten-Anreicherung (--enrich)
+ *
+ * Listen-Scraper liefern oft nur Name (aus dem Slug) und Datum. Dieser
+ * Pass folgt der `url` jedes Events und liest schema.org JSON-LD/Microdata oder,
+ * als Fallback, das Detail-Markup (dt/dd, Tabellen, "Ort: …"-Zeilen).
+ * Ergebnisse werden pro URL lange gecacht, Requests laufen mit
+ * begrenzter Parallelität.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const cheerio = require('cheerio');
+const { fetchHtml, mapLimit, withRequestScope, takeRequestStats, formatRequestStats } = require('./http');
+const { extractJsonLdEvents, extractMicrodataEvents, normalizeJsonLdEvent } = require('./jsonld');
+const { writeCacheFile } = require('./cache');
+
+const DETAIL_DIR = path.join(__dirname, '..', '.cache', 'details');
+const DETAIL_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const FAILED_TTL_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_CONCURRENCY = 3;
+
+// ── Cache ───────────────────────────────────────────────────────────────
+
+function detailFile(url) {
+  return path.join(DETAIL_DIR, crypto.createHash('md5').update(url).digest('hex') + '.json');
+}
+
+// Returns `undefined` on a miss; `null` is a cached failure
+function readDetails(url, now = Date.now()) {
+  const f = detailFile(url);
+  if (!fs.existsSync(f)) return undefined;
+  try {
+    const d = JSON.parse(fs.readFileSync(f, 'utf-8'));
+    const ttl = d.details ? DETAIL_TTL_MS : FAILED_TTL_MS;
+    return now - d.ts > ttl ? undefined : d.details;
+  } catch { return undefined; }
+}
+
+// Returns the write error, if any (see writeCacheFile)
+function writeDetails(url, details) {
+  return writeCacheFile(detailFile(url), { ts: Date.now(), url, details });
+}
+
+// ── Parsing ─────────────────────────────────────────────────────────────
+
+const LABELS = [
+  { field: 'venue', re: /^(ort|veranstaltungsort|location|spielstätte)$/i },
+  { field: 'address', re: /^(adresse|anschrift)$/i },
+  { field: 'price', re: /^(eintritt|eintrittspreise?|preise?|kosten|tickets?)$/i },
+  { field: 'organizer', re: /^(veranstalter(in)?|organisator)$/i },
+  { field: 'time', re: /^(beginn|uhrzeit|zeit|einlass)$/i },
+];
+
+const clean = s => (s || '').replace(/\s+/g, ' ').trim();
+
+function fieldFor(label) {
+  const hit = LABELS.find(l => l.re.test(clean(label).replace(/:$/, '')));
+  return hit ? hit.field : null;
+}
+
+// Label/value pairs from dt/dd, th/td and "Label: value" paragraphs
+function parseMarkup($) {
+  const out = {};
+  const set = (label, value) => {
+    const field = fieldFor(label);
+    value = clean(value);
+    if (field && value && !out[field]) out[field] = value.slice(0, 200);
+  };
+
+  $('dt').each((_, el) => set($(el).text(), $(el).next('dd').text()));
+  $('tr').each((_, el) => {
+    const cells = $(el).children('th, td');
+    if (cells.length === 2) set($(cells[0]).text(), $(cells[1]).text());
+  });
+  $('p, li, div').each((_, el) => {
+    if ($(el).children().length > 3) return;
+    const m = clean($(el).text()).match(/^([A-Za-zÄÖÜäöüß ]{2,25}):\s*(.{2,200})$/);
+    if (m) set(m[1], m[2]);
+  });
+
+  const h1 = clean($('h1').first().text()) || clean($('meta[property="og:title"]').attr('content'));
+  if (h1) out.name = h1;
+  return out;
+}
+
+function parseDetails(html) {
+  const $ = cheerio.load(html);
+  const structured = [...extractJsonLdEvents($), ...extractMicrodataEvents($)];
+  const markup = parseMarkup($);
+  const ld = structured.length ? normalizeJsonLdEvent(structured[0]) : {};
+
+  const time = markup.time?.match(/(\d{1,2})[:.](\d{2})/);
+  const details = {
+    name: ld.name || markup.name || null,
+    date: ld.date || null,
+    endDate: ld.endDate || null,
+    time: time ? `${time[1].padStart(2, '0')}:${time[2]}` : null,
+    venue: ld.venue || markup.venue || null,
+    address: ld.address || markup.address || null,
+    price: ld.price || markup.price || null,
+    organizer: ld.organizer || markup.organizer || null,
+  };
+  return Object.values(details).some(Boolean) ? details : null;
+}
+
+// ── Merge ───────────────────────────────────────────────────────────────
+
+const isMidnight = d => !d || d.slice(11, 16) === '00:00';
+
+// Site adapters with `title: "slug"` name events after their URL
+// (".../Veranstaltungen/jazz-im-park.php" → "jazz im park")
+function isSlugName(e) {
+  let pathname;
+  try {
+    pathname = decodeURIComponent(new URL(e.url).pathname).toLowerCase();
+  } catch {
+    return false;
+  }
+  const slug = `/${e.name.toLowerCase().replace(/ /g, '-')}`;
+  const at = pathname.indexOf(slug);
+  return at >= 0 && /^($|[./])/.test(pathname.slice(at + slug.length));
+}
+
+// Fills gaps only; list data wins where present. Detail times are applied
+// only on the event's own day, so expanded recurrences keep their dates.
+function applyDetails(e, d) {
+  const out = { ...e };
+  if (d.name && d.name.length >= 3 && (!e.name || isSlugName(e))) out.name = d.name;
+  for (const f of ['venue', 'price', 'organizer']) if (!out[f] && d[f]) out[f] = d[f];
+  // Scrapers often only know the town ('Gießen'); a street address is better
+  if (d.address && (!out.address || !/\d/.test(out.address))) out.address = d.address;
+
+  const day = e.date?.slice(0, 10);
+  if (!e.date && d.date) {
+    out.date = d.date;
+    if (!e.endDate) out.endDate = d.endDate;
+  } else if (day && isMidnight(e.date)) {
+    if (d.date?.slice(0, 10) === day && !isMidnight(d.date)) out.date = d.date;
+    else if (d.time) out.date = `${day}T${d.time}:00`;
+  }
+  if (!out.endDate && d.endDate && d.date?.slice(0, 10) === day && d.endDate > out.date) out.endDate = d.endDate;
+  return out;
+}
+
+// Anything worth a detail request: scraped items without venue, time or price
+function needsDetails(e) {
+  return e.url && /^https?:/.test(e.url) && (!e.venue || !e.price || isMidnight(e.date));
+}
+
+// ── Pass ────────────────────────────────────────────────────────────────
+
+/**
+ * Enriches `events` from their detail pages. Every URL is fetched at most
+ * once per run (recurring events share one page) and then cached for a
+ * week; failures are cached for a day.
+ * `enrichConfig`: `{ concurrency, sources }` from config.json `enrich`;
+ * the pipeline defaults `sources` to the site adapters' sources.
+ */
+async function enrichEvents(events, enrichConfig = {}, log = () => {}) {
+  const sources = enrichConfig.sources || null;
+  const urls = [...new Set(events
+    .filter(e => needsDetails(e) && (!sources || sources.includes(e.source)))
+    .map(e => e.url))];
+  if (!urls.length) return events;
+
+  const byUrl = new Map();
+  let fromCache = 0;
+  let failed = 0;
+  let writeError = null;
+  const todo = [];
+  for (const url of urls) {
+    const hit = readDetails(url);
+    if (hit === undefined) todo.push(url);
+    else { byUrl.set(url, hit); fromCache++; }
+  }
+
+  await withRequestScope('enrich', () => mapLimit(todo, enrichConfig.concurrency || DEFAULT_CONCURRENCY, async url => {
+    let details = null;
+    try {
+      details = parseDetails(await fetchHtml(url));
+    } catch { /* cached as failure below */ }
+    if (!details) failed++;
+    byUrl.set(url, details);
+    writeError = writeDetails(url, details) || writeError;
+  }));
+
+  const req = formatRequestStats(takeRequestStats('enrich'));
+  log(`  🔎 Details: ${urls.length} Seiten (${fromCache} aus Cache${failed ? `, ${failed} ohne Daten` : ''})${req}`);
+  if (writeError) log(`  ⚠️ Detail-Cache nicht schreibbar: ${writeError.message}`);
+  return events.map(e => (byUrl.get(e.url) ? applyDetails(e, byUrl.get(e.url)) : e));
+}
+
+module.exports = { DETAIL_DIR, DETAIL_TTL_MS, parseDetails, applyDetails, needsDetails, enrichEvents };
@@ -0,0 +1,163 @@
+/**
+ * Offline Gazetteer & Distance
+ *
+ * Mittelhessen (Landkreise Gießen, Marburg-Biedenkopf, Lahn-Dill,
+ * Wetterau, Vogelsberg) plus a few larger towns around it. Coordinates are
+ * town centers, which is plenty for a radius filter.
+ */
+
+const GAZETTEER = [
+  // Landkreis Gießen
+  { name: 'Gießen', lat: 50.5840, lon: 8.6784 },
+  { name: 'Linden', lat: 50.5333, lon: 8.6500 },
+  { name: 'Pohlheim', lat: 50.5270, lon: 8.7000 },
+  { name: 'Langgöns', lat: 50.5000, lon: 8.6667 },
+  { name: 'Hüttenberg', lat: 50.5167, lon: 8.5667 },
+  { name: 'Heuchelheim', lat: 50.5833, lon: 8.6333 },
+  { name: 'Wettenberg', lat: 50.6167, lon: 8.6500 },
+  { name: 'Biebertal', lat: 50.6333, lon: 8.5833 },
+  { name: 'Lollar', lat: 50.6500, lon: 8.7000 },
+  { name: 'Staufenberg', lat: 50.6667, lon: 8.7333 },
+  { name: 'Buseck', lat: 50.6100, lon: 8.7833 },
+  { name: 'Fernwald', lat: 50.5500, lon: 8.7833 },
+  { name: 'Reiskirchen', lat: 50.6000, lon: 8.8333 },
+  { name: 'Rabenau', lat: 50.6800, lon: 8.8600 },
+  { name: 'Allendorf (Lumda)', lat: 50.6833, lon: 8.8333, aliases: ['Allendorf/Lumda'] },
+  { name: 'Grünberg', lat: 50.5933, lon: 8.9575 },
+  { name: 'Laubach', lat: 50.5428, lon: 9.0000 },
+  { name: 'Lich', lat: 50.5210, lon: 8.8170 },
+  { name: 'Hungen', lat: 50.4742, lon: 8.8992 },
+  // Lahn-Dill-Kreis
+  { name: 'Wetzlar', lat: 50.5558, lon: 8.5045 },
+  { name: 'Lahnau', lat: 50.5833, lon: 8.5667 },
+  { name: 'Aßlar', lat: 50.5900, lon: 8.4633, aliases: ['Asslar'] },
+  { name: 'Solms', lat: 50.5367, lon: 8.4033 },
+  { name: 'Braunfels', lat: 50.5167, lon: 8.3833 },
+  { name: 'Leun', lat: 50.5500, lon: 8.3500 },
+  { name: 'Ehringshausen', lat: 50.6000, lon: 8.3833 },
+  { name: 'Hohenahr', lat: 50.6667, lon: 8.4667 },
+  { name: 'Herborn', lat: 50.6825, lon: 8.3061 },
+  { name: 'Dillenburg', lat: 50.7386, lon: 8.2833 },
+  // Landkreis Marburg-Biedenkopf
+  { name: 'Marburg', lat: 50.8021, lon: 8.7667 },
+  { name: 'Cölbe', lat: 50.8500, lon: 8.7833 },
+  { name: 'Lahntal', lat: 50.8667, lon: 8.7333 },
+  { name: 'Weimar (Lahn)', lat: 50.7667, lon: 8.7167 },
+  { name: 'Fronhausen', lat: 50.7000, lon: 8.7000 },
+  { name: 'Lohra', lat: 50.7333, lon: 8.6333 },
+  { name: 'Ebsdorfergrund', lat: 50.7333, lon: 8.8333 },
+  { name: 'Amöneburg', lat: 50.7975, lon: 8.9228 },
+  { name: 'Kirchhain', lat: 50.8167, lon: 8.9167 },
+  { name: 'Stadtallendorf', lat: 50.8222, lon: 9.0175 },
+  { name: 'Wetter (Hessen)', lat: 50.9028, lon: 8.7206 },
+  { name: 'Gladenbach', lat: 50.7683, lon: 8.5828 },
+  { name: 'Biedenkopf', lat: 50.9111, lon: 8.5325 },
+  // Wetteraukreis
+  { name: 'Butzbach', lat: 50.4333, lon: 8.6706 },
+  { name: 'Münzenberg', lat: 50.4531, lon: 8.7756 },
+  { name: 'Rockenberg', lat: 50.4333, lon: 8.7333 },
+  { name: 'Wölfersheim', lat: 50.4000, lon: 8.8167 },
+  { name: 'Ober-Mörlen', lat: 50.3667, lon: 8.7000 },
+  { name: 'Bad Nauheim', lat: 50.3667, lon: 8.7500 },
+  { name: 'Friedberg', lat: 50.3353, lon: 8.7550 },
+  { name: 'Reichelsheim (Wetterau)', lat: 50.3667, lon: 8.8667 },
+  { name: 'Rosbach', lat: 50.3000, lon: 8.7000 },
+  { name: 'Nidda', lat: 50.4128, lon: 9.0092 },
+  { name: 'Karben', lat: 50.2322, lon: 8.7706 },
+  { name: 'Bad Vilbel', lat: 50.1781, lon: 8.7361 },
+  { name: 'Büdingen', lat: 50.2908, lon: 9.1122 },
+  // Vogelsbergkreis
+  { name: 'Mücke', lat: 50.6167, lon: 9.0667 },
+  { name: 'Homberg (Ohm)', lat: 50.7311, lon: 9.0003 },
+  { name: 'Schotten', lat: 50.5000, lon: 9.1167 },
+  { name: 'Alsfeld', lat: 50.7519, lon: 9.2711 },
+  { name: 'Lauterbach', lat: 50.6378, lon: 9.3978 },
+  // Umgebung
+  { name: 'Weilburg', lat: 50.4833, lon: 8.2667 },
+  { name: 'Limburg', lat: 50.3836, lon: 8.0503 },
+  { name: 'Bad Homburg', lat: 50.2268, lon: 8.6182 },
+  { name: 'Frankfurt', lat: 50.1109, lon: 8.6821 },
+  { name: 'Fulda', lat: 50.5558, lon: 9.6808 },
+  { name: 'Siegen', lat: 50.8748, lon: 8.0243 },
+  // Stadtteile (win over the town they belong to)
+  { name: 'Wieseck', lat: 50.6033, lon: 8.6989, district: 'Gießen' },
+  { name: 'Kleinlinden', lat: 50.5567, lon: 8.6433, district: 'Gießen' },
+  { name: 'Lützellinden', lat: 50.5450, lon: 8.6050, district: 'Gießen' },
+  { name: 'Rödgen', lat: 50.6050, lon: 8.7400, district: 'Gießen' },
+  { name: 'Schiffenberg', lat: 50.5586, lon: 8.7406, district: 'Gießen' },
+  { name: 'Cappel', lat: 50.7833, lon: 8.7667, district: 'Marburg' },
+  { name: 'Wehrda', lat: 50.8250, lon: 8.7583, district: 'Marburg' },
+  { name: 'Naunheim', lat: 50.5867, lon: 8.5400, district: 'Wetzlar' },
+  { name: 'Dutenhofen', lat: 50.5650, lon: 8.5950, district: 'Wetzlar' },
+];
+
+function normalize(str) {
+  return ' ' + (str || '').toLowerCase()
+    .replace(/ä/g, 'ae').replace(/ö/g, 'oe').replace(/ü/g, 'ue').replace(/ß/g, 'ss')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim() + ' ';
+}
+
+// Match patterns: full name, name without "(...)" qualifier, aliases.
+// Districts first, then longer names, so "Bad Nauheim" beats "Nauheim".
+const INDEX = GAZETTEER.flatMap(place => {
+  const names = [place.name, place.name.replace(/\s*\(.*\)$/, ''), ...(place.aliases || [])];
+  return [...new Set(names)].map(n => ({ pattern: normalize(n), place }));
+}).sort((a, b) => (!!b.place.district - !!a.place.district) || b.pattern.length - a.pattern.length);
+
+function lookupPlace(str) {
+  const text = normalize(str);
+  if (text.trim() === '') return null;
+  const hit = INDEX.find(x => text.includes(x.pattern));
+  return hit ? hit.place : null;
+}
+
+function haversineKm(a, b) {
+  const R = 6371;
+  const rad = x => x * Math.PI / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLon = rad(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * R * Math.asin(Math.sqrt(h));
+}
+
+// --center "lat,lon" wins over --city
+function resolveCenter(opts) {
+  if (opts.center) {
+    const [lat, lon] = String(opts.center).split(',').map(Number);
+    if (isNaN(lat) || isNaN(lon)) throw new Error(`Ungültiges Zentrum "${opts.center}" (erwartet: lat,lon)`);
+    return { name: opts.city, lat, lon };
+  }
+  const place = lookupPlace(opts.city);
+  if (!place) throw new Error(`Unbekannter Ort "${opts.city}" (nicht im Gazetteer, --center lat,lon nutzen)`);
+  return { name: place.name, lat: place.lat, lon: place.lon };
+}
+
+// Provider coordinates first, then address, then venue
+function locateEvent(e) {
+  if (typeof e.lat === 'number' && typeof e.lon === 'number') {
+    return { name: lookupPlace(e.address)?.name || null, lat: e.lat, lon: e.lon };
+  }
+  for (const field of [e.address, e.venue]) {
+    const place = lookupPlace(field);
+    if (place) return { name: place.name, lat: place.lat, lon: place.lon };
+  }
+  return null;
+}
+
+// Adds place/distanceKm; events that can't be located are kept
+// (distanceKm: null) since we can't tell whether they're too far away.
+function filterByRadius(events, center, radiusKm) {
+  return events
+    .map(e => {
+      const loc = locateEvent(e);
+      return {
+        ...e,
+        place: loc ? loc.name : null,
+        distanceKm: loc ? Math.round(haversineKm(center, loc)) : null,
+      };
+    })
+    .filter(e => e.distanceKm === null || e.distanceKm <= radiusKm);
+}
+
+module.exports = { GAZETTEER, lookupPlace, haversineKm, resolveCenter, locateEvent, filterByRadius };
@@ -0,0 +1,229 @@
+/**
+ * Gemeinsamer HTTP-Client für Provider
+ *
+ * - Retries für GETs bei Netzwerkfehlern, 408/425/429/5xx: exponentielles
+ *   Backoff mit Jitter, `Retry-After` wird respektiert
+ * - Pro Host begrenzte Parallelität und Mindestabstand zwischen Requests
+ * - Conditional GET: ETag/Last-Modified werden in .cache/http/ gemerkt,
+ *   bei 304 kommt der gespeicherte Body zurück
+ * - Versuche und Zeiten werden pro Scope (Provider) gezählt, siehe
+ *   `withRequestScope` / `takeRequestStats`
+ *
+ * Einstellungen über `http` in config.json (siehe `configureHttp`).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const axios = require('axios');
+
+const TIMEOUT = 15000;
+const UA = 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 Chrome/120.0.0.0 Safari/537.36';
+const VALIDATOR_DIR = path.join(__dirname, '..', '.cache', 'http');
+
+const DEFAULTS = {
+  timeoutMs: TIMEOUT,
+  retries: 3,
+  backoffMs: 500,
+  maxBackoffMs: 10000,
+  maxRetryAfterMs: 60000,
+  perHostConcurrency: 2,
+  minIntervalMs: 250,
+};
+
+const RETRY_STATUS = new Set([408, 425, 429, 500, 502, 503, 504]);
+const RETRY_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'EPIPE', 'ERR_BAD_RESPONSE']);
+
+let settings = { ...DEFAULTS };
+
+function configureHttp(cfg = {}) {
+  settings = { ...DEFAULTS, ...cfg };
+  return settings;
+}
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+// ── Stats ───────────────────────────────────────────────────────────────
+
+const scope = new AsyncLocalStorage();
+const stats = new Map();
+
+// Requests made inside `fn` are counted under `name`
+function withRequestScope(name, fn) {
+  return scope.run(name, fn);
+}
+
+function record(field, n = 1) {
+  const name = scope.getStore() || 'other';
+  if (!stats.has(name)) stats.set(name, { requests: 0, attempts: 0, retries: 0, failures: 0, notModified: 0, ms: 0 });
+  stats.get(name)[field] += n;
+}
+
+// Returns and resets the counters of one scope
+function takeRequestStats(name) {
+  const s = stats.get(name) || null;
+  stats.delete(name);
+  return s;
+}
+
+// " [3 Requests, 1 Retry, 2× 304]" for the run log, '' without requests
+function formatRequestStats(s) {
+  if (!s || !s.requests) return '';
+  const parts = [`${s.requests} Request${s.requests === 1 ? '' : 's'}`];
+  if (s.retries) parts.push(`${s.retries} Retr${s.retries === 1 ? 'y' : 'ies'}`);
+  if (s.notModified) parts.push(`${s.notModified}× 304`);
+  if (s.failures) parts.push(`${s.failures} fehlgeschlagen`);
+  return ` [${parts.join(', ')}]`;
+}
+
+// ── Per-host limits ─────────────────────────────────────────────────────
+
+const hosts = new Map();
+
+async function acquire(host) {
+  if (!hosts.has(host)) hosts.set(host, { active: 0, queue: [], next: 0 });
+  const h = hosts.get(host);
+  if (h.active < settings.perHostConcurrency) h.active++;
+  else await new Promise(r => h.queue.push(r)); // slot is handed over on release
+
+  const startAt = Math.max(Date.now(), h.next);
+  h.next = startAt + settings.minIntervalMs;
+  if (startAt > Date.now()) await sleep(startAt - Date.now());
+}
+
+function release(host) {
+  const h = hosts.get(host);
+  const next = h.queue.shift();
+  if (next) next();
+  else h.active--;
+}
+
+// ── Conditional GET ─────────────────────────────────────────────────────
+
+function validatorFile(key) {
+  return path.join(VALIDATOR_DIR, crypto.createHash('md5').update(key).digest('hex') + '.json');
+}
+
+function readValidators(key) {
+  try {
+    return JSON.parse(fs.readFileSync(validatorFile(key), 'utf-8'));
+  } catch { return null; }
+}
+
+function writeValidators(key, headers, data) {
+  const etag = headers.etag || null;
+  const lastModified = headers['last-modified'] || null;
+  if (!etag && !lastModified) return;
+  try {
+    if (!fs.existsSync(VALIDATOR_DIR)) fs.mkdirSync(VALIDATOR_DIR, { recursive: true });
+    fs.writeFileSync(validatorFile(key), JSON.stringify({ ts: Date.now(), etag, lastModified, data }));
+  } catch { /* cache is best effort */ }
+}
+
+// ── Requests ────────────────────────────────────────────────────────────
+
+// Seconds or HTTP date → ms, null if absent/invalid
+function retryAfterMs(value) {
+  if (!value) return null;
+  if (/^\d+(\.\d+)?$/.test(value.trim())) return parseFloat(value) * 1000;
+  const at = Date.parse(value);
+  return isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+function isRetryable(e) {
+  if (e.response) return RETRY_STATUS.has(e.response.status);
+  return RETRY_CODES.has(e.code);
+}
+
+// Full jitter: random wait in [0, min(max, base * 2^attempt)]
+function backoffMs(attempt) {
+  return Math.random() * Math.min(settings.maxBackoffMs, settings.backoffMs * 2 ** attempt);
+}
+
+/**
+ * GET with retries, per-host limits and (optionally) conditional requests.
+ * Returns `{ data, status, headers, notModified }`; throws the last error
+ * once all attempts failed.
+ */
+async function get(url, { params, headers = {}, responseType, conditional = false } = {}) {
+  const host = new URL(url).host;
+  const key = params ? `${url}?${new URLSearchParams(params)}` : url;
+  const stored = conditional ? readValidators(key) : null;
+  const reqHeaders = { 'User-Agent': UA, ...headers };
+  if (stored?.etag) reqHeaders['If-None-Match'] = stored.etag;
+  if (stored?.lastModified) reqHeaders['If-Modified-Since'] = stored.lastModified;
+
+  record('requests');
+  const t0 = Date.now();
+  try {
+    for (let attempt = 0; ; attempt++) {
+      await acquire(host);
+      record('attempts');
+      let res;
+      try {
+        res = await axios.get(url, {
+          params,
+          headers: reqHeaders,
+          responseType,
+          timeout: settings.timeoutMs,
+          validateStatus: s => (s >= 200 && s < 300) || (s === 304 && !!stored),
+        });
+      } catch (e) {
+        release(host);
+        const wait = e.response ? retryAfterMs(e.response.headers?.['retry-after']) : null;
+        if (attempt >= settings.retries || !isRetryable(e) || (wait != null && wait > settings.maxRetryAfterMs)) {
+          record('failures');
+          if (attempt > 0) e.message = `${e.message} (nach ${attempt + 1} Versuchen)`;
+          throw e;
+        }
+        record('retries');
+        await sleep(wait ?? backoffMs(attempt));
+        continue;
+      }
+      release(host);
+
+      if (res.status === 304) {
+        record('notModified');
+        return { data: stored.data, status: 304, headers: res.headers, notModified: true };
+      }
+      if (conditional) writeValidators(key, res.headers, res.data);
+      return { data: res.data, status: res.status, headers: res.headers, notModified: false };
+    }
+  } finally {
+    record('ms', Date.now() - t0);
+  }
+}
+
+async function fetchHtml(url) {
+  const { data } = await get(url, {
+    headers: { 'Accept-Language': 'de-DE,de;q=0.9' },
+    responseType: 'text',
+    conditional: true,
+  });
+  return data;
+}
+
+async function fetchJson(url, params) {
+  const { data } = await get(url, { params, headers: { Accept: 'application/json' } });
+  return data;
+}
+
+// Runs `fn` over `items` with at most `limit` calls in flight
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+module.exports = {
+  TIMEOUT, UA, VALIDATOR_DIR, configureHttp, withRequestScope, takeRequestStats, formatRequestStats,
+  get, fetchHtml, fetchJson, mapLimit,
+};
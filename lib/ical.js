@@ -0,0 +1,369 @@
+/**
+ * iCalendar Import (RFC 5545)
+ *
+ * Gegenstück zu lib/ics.js: liest VEVENTs aus fremden Feeds, rechnet
+ * TZID/UTC-Zeiten in naive Europe/Berlin-Zeit um und löst RRULE/RDATE/
+ * EXDATE sowie geänderte Einzeltermine (RECURRENCE-ID) innerhalb des
+ * angefragten Zeitraums auf.
+ */
+
+const { format } = require('date-fns');
+const { zonedToBerlinIso, toBerlinIso, overlapsRange } = require('./dates');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_OCCURRENCES = 500;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Outlook and friends send Windows zone names
+const WINDOWS_ZONES = {
+  'W. Europe Standard Time': 'Europe/Berlin',
+  'Central Europe Standard Time': 'Europe/Budapest',
+  'Romance Standard Time': 'Europe/Paris',
+  'GMT Standard Time': 'Europe/London',
+  'UTC': 'UTC',
+};
+
+// ── Parsing ─────────────────────────────────────────────────────────────
+
+function unescapeText(str) {
+  return str.replace(/\\([\\;,nN])/g, (_, c) => (c === 'n' || c === 'N' ? '\n' : c));
+}
+
+// "DTSTART;TZID=Europe/Berlin:20260301T190000" → { name, params, value }
+function parseLine(line) {
+  let i = 0;
+  let quoted = false;
+  for (; i < line.length; i++) {
+    if (line[i] === '"') quoted = !quoted;
+    else if (line[i] === ':' && !quoted) break;
+  }
+  const [name, ...rawParams] = line.slice(0, i).split(';');
+  const params = {};
+  for (const p of rawParams) {
+    const eq = p.indexOf('=');
+    if (eq > 0) params[p.slice(0, eq).toUpperCase()] = p.slice(eq + 1).replace(/^"|"$/g, '');
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(i + 1) };
+}
+
+/**
+ * Returns the VEVENTs as `{ PROP: [{ params, value }, …] }` maps. Nested
+ * components (VALARM) are skipped.
+ */
+function parseIcs(text) {
+  const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  let cur = null;
+  let depth = 0;
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    const { name, params, value } = parseLine(line);
+    if (name === 'BEGIN' && value.toUpperCase() === 'VEVENT') { cur = {}; depth = 0; continue; }
+    if (!cur) continue;
+    if (name === 'BEGIN') { depth++; continue; }
+    if (name === 'END' && depth > 0) { depth--; continue; }
+    if (name === 'END' && value.toUpperCase() === 'VEVENT') { events.push(cur); cur = null; continue; }
+    if (depth > 0) continue;
+    (cur[name] = cur[name] || []).push({ params, value });
+  }
+  return events;
+}
+
+function zoneOf(tzid) {
+  if (!tzid) return null;
+  if (WINDOWS_ZONES[tzid]) return WINDOWS_ZONES[tzid];
+  // "/mozilla.org/20050126_1/Europe/Berlin" → "Europe/Berlin"
+  const m = tzid.match(/([A-Za-z]+\/[A-Za-z_+\-]+(?:\/[A-Za-z_+\-]+)?)$/);
+  return m ? m[1] : tzid;
+}
+
+/**
+ * DATE or DATE-TIME value → `{ local, allDay, zone }` with `local` as naive
+ * wall clock in `zone` (UTC for "Z" values, null = floating/Berlin).
+ */
+function parseIcalDate(prop) {
+  if (!prop) return null;
+  const m = prop.value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!m) return null;
+  const day = `${m[1]}-${m[2]}-${m[3]}`;
+  if (!m[4] || prop.params.VALUE === 'DATE') return { local: `${day}T00:00:00`, allDay: true, zone: null };
+  return {
+    local: `${day}T${m[4]}:${m[5]}:${m[6] || '00'}`,
+    allDay: false,
+    zone: m[7] ? 'UTC' : zoneOf(prop.params.TZID),
+  };
+}
+
+function toBerlin(d) {
+  if (d.allDay || !d.zone) return d.local;
+  return d.zone === 'UTC' ? toBerlinIso(`${d.local}Z`) : zonedToBerlinIso(d.local, d.zone);
+}
+
+// "P1DT2H30M" → ms
+function parseDuration(str) {
+  const m = (str || '').match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!m) return null;
+  const [, sign, w, d, h, mi, s] = m;
+  const ms = ((+w || 0) * 7 * 24 * 3600 + (+d || 0) * 24 * 3600 + (+h || 0) * 3600 + (+mi || 0) * 60 + (+s || 0)) * 1000;
+  return sign === '-' ? -ms : ms;
+}
+
+// ── RRULE ───────────────────────────────────────────────────────────────
+
+function parseRrule(value) {
+  const r = Object.fromEntries(value.split(';').map(p => p.split('=')).map(([k, v]) => [k.toUpperCase(), v]));
+  const list = k => (r[k] ? r[k].split(',') : null);
+  return {
+    freq: r.FREQ,
+    interval: parseInt(r.INTERVAL || '1', 10) || 1,
+    count: r.COUNT ? parseInt(r.COUNT, 10) : null,
+    until: r.UNTIL ? parseIcalDate({ value: r.UNTIL, params: {} }) : null,
+    byDay: list('BYDAY')?.map(d => {
+      const m = d.match(/^([+-]?\d+)?([A-Z]{2})$/);
+      return m ? { nth: m[1] ? parseInt(m[1], 10) : null, wd: WEEKDAYS.indexOf(m[2]) } : null;
+    }).filter(Boolean) || null,
+    byMonthDay: list('BYMONTHDAY')?.map(Number) || null,
+    byMonth: list('BYMONTH')?.map(Number) || null,
+  };
+}
+
+const TAGE_KURZ = ['So', 'Mo', 'Di', 'Mi', 'Do', 'Fr', 'Sa'];
+const FREQ_LABELS = {
+  DAILY: ['täglich', 'Tage'], WEEKLY: ['wöchentlich', 'Wochen'],
+  MONTHLY: ['monatlich', 'Monate'], YEARLY: ['jährlich', 'Jahre'],
+};
+
+// Label for the 🔁 badge: "wöchentlich Mo, Do", "alle 2 Wochen", "monatlich"
+function rruleLabel(rule) {
+  const [every, unit] = FREQ_LABELS[rule.freq] || ['wiederkehrend', null];
+  const base = rule.interval > 1 && unit ? `alle ${rule.interval} ${unit}` : every;
+  const days = rule.freq === 'WEEKLY' && rule.byDay ? ` ${rule.byDay.map(b => TAGE_KURZ[b.wd]).join(', ')}` : '';
+  return base.charAt(0).toUpperCase() + base.slice(1) + days;
+}
+
+// Naive "YYYY-MM-DD" arithmetic on UTC dates, independent of the host zone
+const utcDay = day => new Date(`${day}T00:00:00Z`);
+
+function nthOfMonth(d) {
+  const date = d.getUTCDate();
+  const daysInMonth = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)).getUTCDate();
+  return { fromStart: Math.ceil(date / 7), fromEnd: -Math.ceil((daysInMonth - date + 1) / 7), daysInMonth };
+}
+
+function matchesRrule(rule, d, start) {
+  const days = Math.round((d - start) / DAY_MS);
+  const months = (d.getUTCFullYear() - start.getUTCFullYear()) * 12 + d.getUTCMonth() - start.getUTCMonth();
+  const wd = d.getUTCDay();
+  const { fromStart, fromEnd, daysInMonth } = nthOfMonth(d);
+
+  if (rule.byMonth && !rule.byMonth.includes(d.getUTCMonth() + 1)) return false;
+  if (rule.byMonthDay && !rule.byMonthDay.some(n => (n > 0 ? n : daysInMonth + n + 1) === d.getUTCDate())) return false;
+  const dayMatch = rule.byDay
+    ? rule.byDay.some(b => b.wd === wd && (b.nth == null || b.nth === fromStart || b.nth === fromEnd))
+    : null;
+
+  switch (rule.freq) {
+    case 'DAILY':
+      return days % rule.interval === 0 && dayMatch !== false;
+    case 'WEEKLY': {
+      // Weeks counted from the Monday of DTSTART's week (WKST=MO)
+      const weekStart = x => Math.floor((x - DAY_MS * ((x.getUTCDay() + 6) % 7)) / (7 * DAY_MS));
+      if ((weekStart(d) - weekStart(start)) % rule.interval !== 0) return false;
+      return dayMatch ?? wd === start.getUTCDay();
+    }
+    case 'MONTHLY':
+      if (months % rule.interval !== 0) return false;
+      if (dayMatch != null) return dayMatch;
+      return rule.byMonthDay ? true : d.getUTCDate() === start.getUTCDate();
+    case 'YEARLY':
+      if (months % (12 * rule.interval) !== 0 && !rule.byMonth) return false;
+      if ((d.getUTCFullYear() - start.getUTCFullYear()) % rule.interval !== 0) return false;
+      if (dayMatch != null) return dayMatch;
+      if (rule.byMonthDay) return true;
+      return d.getUTCDate() === start.getUTCDate() && (rule.byMonth || d.getUTCMonth() === start.getUTCMonth());
+    default:
+      return false;
+  }
+}
+
+const addDays = (d, n) => new Date(d.getTime() + n * DAY_MS);
+const daysBetween = (a, b) => Math.round((b - a) / DAY_MS);
+const mondayOf = d => addDays(d, -((d.getUTCDay() + 6) % 7));
+
+// The days of the i-th FREQ/INTERVAL period after DTSTART's
+function periodDays(rule, start, i) {
+  const y = start.getUTCFullYear();
+  const m = start.getUTCMonth();
+  let first;
+  let last;
+  switch (rule.freq) {
+    case 'DAILY':
+      return [addDays(start, i * rule.interval)];
+    case 'WEEKLY':
+      first = addDays(mondayOf(start), i * 7 * rule.interval);
+      last = addDays(first, 6);
+      break;
+    case 'MONTHLY':
+      first = new Date(Date.UTC(y, m + i * rule.interval, 1));
+      last = new Date(Date.UTC(y, m + i * rule.interval + 1, 0));
+      break;
+    case 'YEARLY':
+      first = new Date(Date.UTC(y + i * rule.interval, 0, 1));
+      last = new Date(Date.UTC(y + i * rule.interval, 11, 31));
+      break;
+    default:
+      return null;
+  }
+  return Array.from({ length: daysBetween(first, last) + 1 }, (_, k) => addDays(first, k));
+}
+
+// Index of the last period that starts on or before `d`
+function periodIndex(rule, start, d) {
+  const months = (d.getUTCFullYear() - start.getUTCFullYear()) * 12 + d.getUTCMonth() - start.getUTCMonth();
+  const steps = {
+    DAILY: daysBetween(start, d),
+    WEEKLY: daysBetween(mondayOf(start), mondayOf(d)) / 7,
+    MONTHLY: months,
+    YEARLY: d.getUTCFullYear() - start.getUTCFullYear(),
+  }[rule.freq] ?? 0;
+  return Math.max(0, Math.floor(steps / rule.interval));
+}
+
+/**
+ * Occurrence start days ("YYYY-MM-DD", in the event's own wall clock)
+ * between `firstDay` and `lastDay`, honouring COUNT and UNTIL. DTSTART is
+ * always the first occurrence and counts toward COUNT (RFC 5545 3.8.5.3).
+ * Walks period by period; without COUNT it starts at the period around
+ * `firstDay`, so series that began decades ago cost nothing extra.
+ */
+function expandRrule(rule, startDay, lastDay, firstDay = startDay) {
+  const start = utcDay(startDay);
+  const from = utcDay(firstDay > startDay ? firstDay : startDay);
+  const untilDay = rule.until ? rule.until.local.slice(0, 10) : null;
+  const end = utcDay(untilDay && untilDay < lastDay ? untilDay : lastDay);
+  const out = [];
+  const add = d => {
+    if (d >= from && d <= end && out.length < MAX_OCCURRENCES) out.push(d.toISOString().slice(0, 10));
+  };
+
+  add(start);
+  let n = 1;
+  for (let i = rule.count ? 0 : periodIndex(rule, start, from); ; i++) {
+    const days = periodDays(rule, start, i);
+    if (!days || days[0] > end || out.length >= MAX_OCCURRENCES) break;
+    for (const d of days) {
+      if (d <= start || d > end || !matchesRrule(rule, d, start)) continue;
+      if (rule.count && ++n > rule.count) return out;
+      add(d);
+    }
+  }
+  return out;
+}
+
+// ── Events ──────────────────────────────────────────────────────────────
+
+const text = (ve, name) => (ve[name] ? unescapeText(ve[name][0].value).trim() : null);
+
+function dateList(ve, name) {
+  return (ve[name] || []).flatMap(p => p.value.split(',').map(value => parseIcalDate({ value, params: p.params })))
+    .filter(Boolean);
+}
+
+const naiveMs = local => Date.parse(`${local}Z`);
+
+// DTEND - DTSTART on the wall clock, else DURATION, else `fallback`
+function durationOf(ve, start, fallback = start.allDay ? DAY_MS : 0) {
+  const end = parseIcalDate(ve.DTEND?.[0]);
+  if (end) return naiveMs(end.local) - naiveMs(start.local);
+  return parseDuration(text(ve, 'DURATION')) ?? fallback;
+}
+
+/**
+ * VEVENTs → `{ name, date, endDate, allDay, location, description, url,
+ * categories, status, recurrence }` with naive Berlin times, one per occurrence that
+ * overlaps `dateRange`.
+ */
+function icalToEvents(icsText, dateRange) {
+  const vevents = parseIcs(icsText);
+
+  // Modified instances replace the generated occurrence with the same start
+  const overrides = new Map();
+  for (const ve of vevents) {
+    const rid = parseIcalDate(ve['RECURRENCE-ID']?.[0]);
+    if (rid) overrides.set(`${text(ve, 'UID')}|${toBerlin(rid)}`, ve);
+  }
+
+  const out = [];
+  for (const ve of vevents) {
+    if (ve['RECURRENCE-ID']) continue;
+    const start = parseIcalDate(ve.DTSTART?.[0]);
+    if (!start) continue;
+    const uid = text(ve, 'UID');
+
+    const durationMs = durationOf(ve, start);
+
+    const rule = ve.RRULE ? parseRrule(ve.RRULE[0].value) : null;
+    let starts = [start.local];
+    if (rule) {
+      // Widen by the duration (and a day for zone offsets) so occurrences
+      // that started earlier or run past the range still overlap it
+      const span = Math.max(durationMs, 0) + DAY_MS;
+      const first = format(new Date(dateRange.start.getTime() - span), 'yyyy-MM-dd');
+      const last = format(new Date(dateRange.end.getTime() + span), 'yyyy-MM-dd');
+      starts = expandRrule(rule, start.local.slice(0, 10), last, first)
+        .map(day => `${day}T${start.local.slice(11)}`);
+    }
+    for (const r of dateList(ve, 'RDATE')) starts.push(r.allDay ? `${r.local.slice(0, 10)}T${start.local.slice(11)}` : r.local);
+
+    // EXDATEs may use another zone (often UTC) than DTSTART: compare in
+    // Berlin time; zone-less values share DTSTART's zone
+    const exdates = dateList(ve, 'EXDATE').map(x => (x.allDay || x.zone ? x : { ...x, zone: start.zone }));
+    const exTimes = new Set(exdates.filter(x => !x.allDay).map(toBerlin));
+    const exDays = new Set(exdates.map(x => (x.allDay ? x.local : toBerlin(x)).slice(0, 10)));
+    const excluded = occ => (start.allDay
+      ? exDays.has(occ.local.slice(0, 10))
+      : exTimes.has(toBerlin(occ)) || exdates.some(x => x.allDay && x.local.slice(0, 10) === occ.local.slice(0, 10)));
+
+    for (const local of [...new Set(starts)].sort()) {
+      const occStart = { ...start, local };
+      if (excluded(occStart)) continue;
+      const startIso = toBerlin(occStart);
+      const source = overrides.get(`${uid}|${startIso}`) || ve;
+      const overrideStart = source !== ve && parseIcalDate(source.DTSTART?.[0]);
+      const occ = overrideStart
+        ? { start: overrideStart, durationMs: durationOf(source, overrideStart, durationMs) }
+        : { start: occStart, durationMs };
+
+      const date = toBerlin(occ.start);
+      let endDate = null;
+      if (occ.durationMs > 0) {
+        const endLocal = new Date(naiveMs(occ.start.local) + occ.durationMs).toISOString().slice(0, 19);
+        // DTEND of all-day events is exclusive; single days get no endDate
+        endDate = occ.start.allDay
+          ? (occ.durationMs > DAY_MS ? `${new Date(naiveMs(endLocal) - DAY_MS).toISOString().slice(0, 10)}T00:00:00` : null)
+          : toBerlin({ ...occ.start, local: endLocal });
+      }
+
+      // Same rule as the other providers: timed events by time, all-day by day
+      if (!overlapsRange(date, endDate, dateRange)) continue;
+
+      // Overrides may only carry the changed properties
+      const prop = name => text(source, name) ?? text(ve, name);
+      out.push({
+        name: prop('SUMMARY'),
+        date,
+        endDate,
+        allDay: occ.start.allDay,
+        location: prop('LOCATION'),
+        description: prop('DESCRIPTION'),
+        url: prop('URL'),
+        categories: (source.CATEGORIES || ve.CATEGORIES || []).flatMap(p => unescapeText(p.value).split(',')).map(s => s.trim()).filter(Boolean),
+        status: text(source, 'STATUS'),
+        recurrence: rule ? rruleLabel(rule) : null,
+      });
+    }
+  }
+  return out;
+}
+
+module.exports = { parseIcs, parseIcalDate, parseRrule, rruleLabel, expandRrule, parseDuration, icalToEvents };
@@ -0,0 +1,166 @@
+/**
+ * iCalendar Export (RFC 5545)
+ *
+ * Stable UIDs come from the dedup key, so re-importing or subscribing to
+ * the feed updates existing entries instead of adding duplicates.
+ */
+
+const { eventId } = require('./dedup');
+
+const TZID = 'Europe/Berlin';
+const PRODID = '-//giessen-events//Event Aggregator//DE';
+const DEFAULT_DURATION_H = 2;
+
+// Static CET/CEST rules (EU DST since 1996)
+const VTIMEZONE = [
+  'BEGIN:VTIMEZONE',
+  `TZID:${TZID}`,
+  'BEGIN:DAYLIGHT',
+  'TZOFFSETFROM:+0100',
+  'TZOFFSETTO:+0200',
+  'TZNAME:CEST',
+  'DTSTART:19700329T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU',
+  'END:DAYLIGHT',
+  'BEGIN:STANDARD',
+  'TZOFFSETFROM:+0200',
+  'TZOFFSETTO:+0100',
+  'TZNAME:CET',
+  'DTSTART:19701025T030000',
+  'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU',
+  'END:STANDARD',
+  'END:VTIMEZONE',
+];
+
+const berlinFmt = new Intl.DateTimeFormat('en-GB', {
+  timeZone: TZID, hourCycle: 'h23',
+  year: 'numeric', month: '2-digit', day: '2-digit',
+  hour: '2-digit', minute: '2-digit', second: '2-digit',
+});
+
+function escapeText(str) {
+  return String(str)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Fold content lines at 75 octets, never splitting a UTF-8 sequence
+function fold(line) {
+  const out = [];
+  let cur = '';
+  let bytes = 0;
+  for (const ch of line) {
+    const len = Buffer.byteLength(ch);
+    if (bytes + len > (out.length ? 74 : 75)) {
+      out.push(cur);
+      cur = '';
+      bytes = 0;
+    }
+    cur += ch;
+    bytes += len;
+  }
+  out.push(cur);
+  return out.join('\r\n ');
+}
+
+// Wall-clock parts in Europe/Berlin. Naive strings from the scrapers are
+// already local time; anything with Z/offset gets converted.
+function berlinParts(str) {
+  const naive = str.match(/^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+  if (naive) {
+    const [, y, mo, d, h = '00', mi = '00', s = '00'] = naive;
+    return { y, mo, d, h, mi, s };
+  }
+  const date = new Date(str);
+  if (isNaN(date)) return null;
+  const p = Object.fromEntries(berlinFmt.formatToParts(date).map(x => [x.type, x.value]));
+  return { y: p.year, mo: p.month, d: p.day, h: p.hour, mi: p.minute, s: p.second };
+}
+
+function shift(parts, { days = 0, hours = 0 }) {
+  const t = new Date(Date.UTC(+parts.y, +parts.mo - 1, +parts.d + days, +parts.h + hours, +parts.mi, +parts.s));
+  const pad = n => String(n).padStart(2, '0');
+  return {
+    y: String(t.getUTCFullYear()), mo: pad(t.getUTCMonth() + 1), d: pad(t.getUTCDate()),
+    h: pad(t.getUTCHours()), mi: pad(t.getUTCMinutes()), s: pad(t.getUTCSeconds()),
+  };
+}
+
+const icsDate = p => `${p.y}${p.mo}${p.d}`;
+const icsDateTime = p => `${icsDate(p)}T${p.h}${p.mi}${p.s}`;
+
+function utcStamp(date = new Date()) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// A timed start with an end day but no end time ("24.10. 19 Uhr bis 26.10.")
+// runs through that day. Scrapers store such ends as midnight, so only a
+// midnight later than the day after the start counts; 22:00–00:00 stays.
+function dateOnlyEnd(str, start, end) {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(str)) return true;
+  return end.h === '00' && end.mi === '00' && end.s === '00' && icsDate(end) > icsDate(shift(start, { days: 1 }));
+}
+
+function eventUid(e) {
+  return `${eventId(e)}@giessen-events`;
+}
+
+function formatVevent(e, dtstamp) {
+  const start = e.date ? berlinParts(e.date) : null;
+  if (!start) return [];
+
+  const lines = ['BEGIN:VEVENT', `UID:${eventUid(e)}`, `DTSTAMP:${dtstamp}`];
+
+  // Events from before the schema had no allDay flag: midnight means no time
+  const allDay = e.allDay ?? (e.date.length === 10 || (start.h === '00' && start.mi === '00'));
+  const end = e.endDate ? berlinParts(e.endDate) : null;
+  if (allDay || end) {
+    // Multi-day events run through their last day (DTEND is exclusive)
+    lines.push(allDay ? `DTSTART;VALUE=DATE:${icsDate(start)}` : `DTSTART;TZID=${TZID}:${icsDateTime(start)}`);
+    lines.push(allDay
+      ? `DTEND;VALUE=DATE:${icsDate(shift(end || start, { days: 1 }))}`
+      : `DTEND;TZID=${TZID}:${dateOnlyEnd(e.endDate, start, end) ? `${icsDate(end)}T235959` : icsDateTime(end)}`);
+  } else {
+    lines.push(`DTSTART;TZID=${TZID}:${icsDateTime(start)}`);
+    lines.push(`DTEND;TZID=${TZID}:${icsDateTime(shift(start, { hours: DEFAULT_DURATION_H }))}`);
+  }
+
+  lines.push(`SUMMARY:${escapeText(e.name)}`);
+  if (e.status === 'cancelled') lines.push('STATUS:CANCELLED');
+  const location = [e.venue, e.address].filter(Boolean).join(', ');
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+  if (e.url) lines.push(`URL:${e.url}`);
+
+  const desc = [
+    e.description,
+    e.price ? `Preis: ${e.price}` : null,
+    `Quellen: ${(e.sources || [e]).map(s => s.source).join(', ')}`,
+  ].filter(Boolean).join('\n');
+  lines.push(`DESCRIPTION:${escapeText(desc)}`);
+
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+function formatIcs(events, { name = 'Events Gießen & Umgebung' } = {}) {
+  const dtstamp = utcStamp();
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${TZID}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT12H',
+    'X-PUBLISHED-TTL:PT12H',
+    ...VTIMEZONE,
+  ];
+  for (const e of events) lines.push(...formatVevent(e, dtstamp));
+  lines.push('END:VCALENDAR');
+  return lines.map(fold).join('\r\n') + '\r\n';
+}
+
+module.exports = { formatIcs, eventUid, berlinParts };
@@ -0,0 +1,163 @@
+/**
+ * schema.org Event aus JSON-LD
+ *
+ * Findet Event-Objekte in <script type="application/ld+json"> (auch in
+ * @graph, verschachtelten Arrays und EventSeries) sowie in Microdata
+ * (itemscope/itemprop) und bildet sie auf unsere Event-Felder ab. Zeiten
+ * werden in naive Europe/Berlin-Zeit umgerechnet.
+ */
+
+const { toBerlinIso } = require('./dates');
+const { fromSchemaOrg } = require('./classify');
+
+const first = v => (Array.isArray(v) ? v[0] : v);
+// Strings, multilingual {"@value"} objects and repeated microdata values
+const clean = v => {
+  v = first(v);
+  if (v && typeof v === 'object') v = v['@value'] ?? v.name;
+  return (typeof v === 'string' ? v.replace(/\s+/g, ' ').trim() : null) || null;
+};
+
+const typesOf = node => (Array.isArray(node['@type']) ? node['@type'] : [node['@type']]).filter(t => typeof t === 'string');
+const isEventType = node => typesOf(node).some(t => /Event$|^Festival$/.test(t));
+const isSeries = node => typesOf(node).includes('EventSeries');
+const asList = v => (v == null ? [] : Array.isArray(v) ? v : [v]);
+
+// Sub-events inherit what the series states once (venue, offers, …)
+function expandSeries(series) {
+  const subs = [...asList(series.subEvent), ...asList(series.subEvents)].filter(x => x && typeof x === 'object');
+  if (!subs.length) return [series];
+  return subs.map(sub => ({ ...series, subEvent: undefined, subEvents: undefined, ...sub }));
+}
+
+// All Event/EventSeries objects, depth-first: @graph, arrays, ItemLists,
+// `event` properties of places and organizations
+function collectEvents(node, out = []) {
+  if (Array.isArray(node)) {
+    node.forEach(n => collectEvents(n, out));
+  } else if (node && typeof node === 'object') {
+    if (isSeries(node)) out.push(...expandSeries(node));
+    else if (isEventType(node)) out.push(node);
+    else for (const v of Object.values(node)) collectEvents(v, out);
+  }
+  return out;
+}
+
+// Some CMS emit raw newlines inside strings or trailing commas
+function parseLenient(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return JSON.parse(raw.replace(/[\r\n\t]+/g, ' ').replace(/,\s*([}\]])/g, '$1'));
+  }
+}
+
+function extractJsonLdEvents($) {
+  const found = [];
+  $('script[type="application/ld+json"]').each((_, el) => {
+    try {
+      collectEvents(parseLenient($(el).contents().text()), found);
+    } catch { /* broken JSON-LD is common, ignore */ }
+  });
+  return found;
+}
+
+// ── Microdata ───────────────────────────────────────────────────────────
+
+function microdataValue($, el) {
+  const $el = $(el);
+  if ($el.is('[itemscope]')) return microdataItem($, el);
+  const attr = $el.attr('content') ?? $el.attr('datetime')
+    ?? ($el.is('a, link, area') ? $el.attr('href') : null)
+    ?? ($el.is('img, source') ? $el.attr('src') : null);
+  return (attr ?? $el.text()).replace(/\s+/g, ' ').trim();
+}
+
+// itemscope element → JSON-LD shaped object, so one normalizer fits both
+function microdataItem($, el) {
+  const item = {};
+  const type = $(el).attr('itemtype');
+  if (type) item['@type'] = type.split(/\s+/).map(t => t.replace(/^.*\//, ''));
+  $(el).find('[itemprop]').each((_, prop) => {
+    // Only direct properties, not those of nested items
+    if ($(prop).parent().closest('[itemscope]')[0] !== el) return;
+    const value = microdataValue($, prop);
+    for (const name of ($(prop).attr('itemprop') || '').split(/\s+/).filter(Boolean)) {
+      item[name] = name in item ? [].concat(item[name], value) : value;
+    }
+  });
+  return item;
+}
+
+function extractMicrodataEvents($) {
+  const roots = $('[itemscope]').filter((_, el) => !$(el).parent().closest('[itemscope]').length);
+  return collectEvents(roots.toArray().map(el => microdataItem($, el)));
+}
+
+// ── Normalizing ─────────────────────────────────────────────────────────
+
+function formatAddress(addr) {
+  addr = first(addr);
+  if (!addr) return null;
+  if (typeof addr === 'string') return clean(addr);
+  const city = [clean(addr.postalCode), clean(addr.addressLocality)].filter(Boolean).join(' ');
+  return clean([clean(addr.streetAddress), city].filter(Boolean).join(', '));
+}
+
+// Offer / AggregateOffer list → "12€", "Ab 12€", "kostenlos", "15 CHF"
+function formatPrice(offers) {
+  const list = asList(offers).filter(o => o && typeof o === 'object');
+  const prices = list
+    .flatMap(o => [o.price, o.lowPrice, o.highPrice, o.priceSpecification?.price])
+    .map(p => parseFloat(String(first(p) ?? '').replace(',', '.')))
+    .filter(p => !isNaN(p));
+  if (!prices.length) return null;
+  const min = Math.min(...prices);
+  if (min === 0) return 'kostenlos';
+  const currency = clean(list.find(o => o.priceCurrency)?.priceCurrency) || 'EUR';
+  const amount = Number.isInteger(min) ? String(min) : min.toFixed(2).replace('.', ',');
+  const from = prices.length > 1 && Math.max(...prices) > min ? 'Ab ' : '';
+  return currency === 'EUR' ? `${from}${amount}€` : `${from}${amount} ${currency}`;
+}
+
+// Prefer a physical Place over VirtualLocation / plain strings
+function pickLocation(location) {
+  const list = asList(location);
+  return list.find(l => l && typeof l === 'object' && l.address) || list[0] || null;
+}
+
+// https://schema.org/EventStatusType → our status
+const EVENT_STATUS = {
+  EventCancelled: 'cancelled',
+  EventPostponed: 'postponed',
+  EventRescheduled: 'rescheduled',
+  EventMovedOnline: 'moved',
+  EventScheduled: 'scheduled',
+};
+
+function eventStatus(v) {
+  v = first(v);
+  const iri = v && typeof v === 'object' ? v['@id'] || v.name : v;
+  return EVENT_STATUS[String(iri || '').replace(/^.*[/#]/, '')] || null;
+}
+
+function normalizeJsonLdEvent(item) {
+  const loc = pickLocation(item.location);
+  const org = first(item.organizer);
+  const free = [true, 'true', 'True'].includes(first(item.isAccessibleForFree));
+  return {
+    name: clean(item.name),
+    date: toBerlinIso(first(item.startDate)),
+    endDate: toBerlinIso(first(item.endDate)),
+    venue: typeof loc === 'string' ? clean(loc) : clean(loc?.name),
+    address: loc && typeof loc === 'object' ? formatAddress(loc.address) : null,
+    type: fromSchemaOrg(typesOf(item)),
+    price: free ? 'kostenlos' : formatPrice(item.offers),
+    organizer: typeof org === 'string' ? clean(org) : clean(org?.name),
+    description: clean(item.description)?.slice(0, 200) || null,
+    url: clean(item.url),
+    status: eventStatus(item.eventStatus),
+  };
+}
+
+module.exports = { collectEvents, extractJsonLdEvents, extractMicrodataEvents, formatAddress, formatPrice, normalizeJsonLdEvent };
@@ -0,0 +1,202 @@
+/**
+ * MCP Server (`node index.js mcp`)
+ *
+ * Model Context Protocol over stdio (newline-delimited JSON-RPC 2.0), so
+ * an agent can query events directly instead of parsing CLI output.
+ * stdout belongs to the protocol; logs go to stderr.
+ *
+ * Tools: search_events, get_event_details, list_sources
+ */
+
+const readline = require('readline');
+const { parseArgs } = require('./args');
+const { getDateRange } = require('./dates');
+const { discoverProviders, selectProviders } = require('./registry');
+const { aggregate, applyFilters, providerHealth } = require('./aggregate');
+const { loadStore } = require('./store');
+const { TYPES } = require('./classify');
+const { version } = require('../package.json');
+
+const PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+const TOOLS = [
+  {
+    name: 'search_events',
+    description: 'Sucht Events in Gießen und Umgebung (Mittelhessen). Liefert id, Name, Datum, Ort, Entfernung, Kategorie, Preis, Status (abgesagt, verschoben, ausverkauft, …) und Link. Abgesagte Events nur mit include_cancelled.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        date: { type: 'string', description: 'Zeitraum (DE/EN): "heute", "morgen", "Wochenende" (ab Freitag 18 Uhr), "nächste Woche", "Freitag bis Sonntag", "+14d", "KW 12", "24.10.", "YYYY-MM-DD" oder "YYYY-MM-DD:YYYY-MM-DD". Default: nächste 7 Tage' },
+        type: {
+          type: 'array',
+          items: { type: 'string', enum: [...TYPES, 'other'] },
+          description: 'Nur diese Kategorien',
+        },
+        city: { type: 'string', description: 'Zentrum der Umkreissuche, z.B. "Marburg". Default: Gießen' },
+        radius: { type: 'number', description: 'Umkreis in km' },
+        query: { type: 'string', description: 'Volltextsuche in Name, Beschreibung und Ort' },
+        exclude: { type: 'string', description: 'Events mit diesen Begriffen ausblenden (kommagetrennt)' },
+        venue: { type: 'string', description: 'Nur an diesem Ort (Teilstring von Venue/Adresse)' },
+        free: { type: 'boolean', description: 'Nur kostenlose Events' },
+        max_price: { type: 'number', description: 'Höchstpreis in Euro (Events ohne Preisangabe fallen raus)' },
+        after: { type: 'string', description: 'Beginn frühestens um, z.B. "18:00"' },
+        before: { type: 'string', description: 'Beginn vor, z.B. "12:00"' },
+        limit: { type: 'number', description: 'Maximale Anzahl Ergebnisse (default 50)' },
+        include_cancelled: { type: 'boolean', description: 'Auch abgesagte Events liefern (default false)' },
+        weather: { type: 'boolean', description: 'Wettervorhersage für Outdoor-Events (Gravel, MTB, Wandern) anhängen' },
+        hide_bad_weather: { type: 'boolean', description: 'Outdoor-Events mit schlechter Vorhersage (Regen, Sturm, Gewitter) ausblenden' },
+      },
+      additionalProperties: false,
+    },
+  },
+  {
+    name: 'get_event_details',
+    description: 'Alle Details zu einem Event anhand seiner id aus search_events (inkl. aller Quellen).',
+    inputSchema: {
+      type: 'object',
+      properties: { id: { type: 'string', description: 'Stabile Event-id' } },
+      required: ['id'],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: 'list_sources',
+    description: 'Listet die Event-Quellen mit Status, Event-Anzahl und Latenz des letzten Abrufs.',
+    inputSchema: { type: 'object', properties: {}, additionalProperties: false },
+  },
+];
+
+function summarize(e) {
+  return {
+    id: e.id,
+    name: e.name,
+    date: e.date,
+    endDate: e.endDate || null,
+    allDay: e.allDay,
+    venue: e.venue,
+    place: e.place,
+    distanceKm: e.distanceKm,
+    type: e.type,
+    price: e.price,
+    status: e.status,
+    weather: e.weather || null,
+    url: e.url,
+  };
+}
+
+function createMcpServer(config) {
+  // id → event from recent searches, for get_event_details
+  const seen = new Map();
+
+  async function searchEvents(input) {
+    const args = [];
+    if (input.date) args.push('--date', input.date);
+    if (input.type && input.type.length) args.push('--type', [].concat(input.type).join(','));
+    if (input.city) args.push('--city', input.city);
+    if (input.radius != null) args.push('--radius', String(input.radius));
+    if (input.include_cancelled) args.push('--include-cancelled');
+    if (input.weather) args.push('--weather');
+    if (input.hide_bad_weather) args.push('--hide-bad-weather');
+    if (input.query) args.push('--query', input.query);
+    if (input.exclude) args.push('--exclude', input.exclude);
+    if (input.venue) args.push('--venue', input.venue);
+    if (input.free) args.push('--free');
+    if (input.max_price != null) args.push('--max-price', String(input.max_price));
+    if (input.after) args.push('--after', input.after);
+    if (input.before) args.push('--before', input.before);
+    const opts = parseArgs(args);
+    const dateRange = getDateRange(opts.date, { defaultDate: config.defaultDate });
+
+    const { events } = await aggregate(opts, config, dateRange);
+    const hits = applyFilters(events, opts);
+    for (const e of hits) seen.set(e.id, e);
+    return {
+      range: { start: dateRange.start.toISOString(), end: dateRange.end.toISOString() },
+      count: hits.length,
+      events: hits.slice(0, input.limit || 50).map(summarize),
+    };
+  }
+
+  function eventDetails({ id }) {
+    if (seen.has(id)) return seen.get(id);
+    const rec = loadStore().records.get(id);
+    if (rec) return { ...rec.snapshot, id, firstSeen: rec.firstSeen, lastSeen: rec.lastSeen };
+    throw new Error(`Kein Event mit id "${id}" (erst search_events aufrufen)`);
+  }
+
+  function listSources() {
+    const all = discoverProviders(config);
+    const enabled = new Set(selectProviders(all, {}, config).map(p => p.name));
+    const health = providerHealth();
+    return all.map(p => ({ name: p.name, label: p.label, enabled: enabled.has(p.name), ...(health.get(p.name) || {}) }));
+  }
+
+  const handlers = {
+    search_events: searchEvents,
+    get_event_details: eventDetails,
+    list_sources: listSources,
+  };
+
+  async function handle(msg) {
+    switch (msg.method) {
+      case 'initialize': {
+        const requested = msg.params?.protocolVersion;
+        return {
+          protocolVersion: PROTOCOL_VERSIONS.includes(requested) ? requested : PROTOCOL_VERSIONS[0],
+          capabilities: { tools: {} },
+          serverInfo: { name: 'giessen-events', version },
+        };
+      }
+      case 'ping':
+        return {};
+      case 'tools/list':
+        return { tools: TOOLS };
+      case 'tools/call': {
+        const handler = handlers[msg.params?.name];
+        if (!handler) throw Object.assign(new Error(`Unbekanntes Tool ${msg.params?.name}`), { code: -32602 });
+        // Tool failures are results, not protocol errors, so the agent sees them
+        try {
+          const result = await handler(msg.params.arguments || {});
+          return {
+            content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+            structuredContent: Array.isArray(result) ? { items: result } : result,
+          };
+        } catch (e) {
+          return { content: [{ type: 'text', text: e.message }], isError: true };
+        }
+      }
+      default:
+        throw Object.assign(new Error(`Methode nicht gefunden: ${msg.method}`), { code: -32601 });
+    }
+  }
+
+  return { handle };
+}
+
+function startMcpServer(config, input = process.stdin, output = process.stdout) {
+  const server = createMcpServer(config);
+  const write = msg => output.write(JSON.stringify({ jsonrpc: '2.0', ...msg }) + '\n');
+  const rl = readline.createInterface({ input });
+
+  rl.on('line', async line => {
+    if (!line.trim()) return;
+    let msg;
+    try {
+      msg = JSON.parse(line);
+    } catch {
+      return write({ id: null, error: { code: -32700, message: 'Parse error' } });
+    }
+    // Notifications (no id) get no response
+    if (msg.id === undefined) return;
+    try {
+      write({ id: msg.id, result: await server.handle(msg) });
+    } catch (e) {
+      write({ id: msg.id, error: { code: e.code || -32603, message: e.message } });
+    }
+  });
+
+  console.error('🤖 MCP-Server bereit (stdio)');
+  return new Promise(resolve => rl.on('close', resolve));
+}
+
+module.exports = { TOOLS, createMcpServer, startMcpServer };
@@ -0,0 +1,76 @@
+/**
+ * Interest Profiles
+ *
+ * A profile is a ranked list of rules (label, icon, color, keywords or
+ * regex, exclusions). The first matching rule decides an event's
+ * priority and badge, which drives the per-day sorting and the
+ * sportPriority/sportLabel fields. Rules marked `outdoor` get a weather
+ * forecast with --weather. Profiles come from config.json
+ * (`profiles`), the built-in `sport` profile is the default.
+ */
+
+const NO_MATCH_PRIORITY = 99;
+
+const BUILTIN_PROFILES = {
+  sport: {
+    rules: [
+      { priority: 1, label: 'Gravel', icon: '🚴', color: 0xE67E22, regex: 'gravel|grvl|schotter|radsport', outdoor: true },
+      { priority: 2, label: 'MTB', icon: '🏔️', color: 0x8E44AD, regex: '\\bmtb\\b|mountainbike|mountain\\s*bike|singletrail|trail\\s*tour|enduro|downhill', outdoor: true },
+      { priority: 3, label: 'Climbing', icon: '🧗', color: 0xE74C3C, regex: 'klettern|climbing|bouldern|boulder' },
+      { priority: 4, label: 'Hiking', icon: '🥾', color: 0x27AE60, regex: 'wanderung|hiking|trekking|wandern|bergtour|hütten', outdoor: true },
+      { priority: 5, label: 'Sport', icon: '⚽', color: 0x3498DB, regex: '\\bsport\\b|\\blauf\\b|\\brun\\b|\\bradtour\\b|\\brad\\s*tour\\b|\\byoga\\b|\\bfitness\\b' },
+    ],
+  },
+};
+
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// `keywords: ['a', 'b']` (literal, case-insensitive) and/or `regex: '...'`
+function compilePattern(keywords, regex) {
+  const parts = [];
+  if (keywords && keywords.length) parts.push(keywords.map(escapeRegex).join('|'));
+  if (regex) parts.push(regex);
+  return parts.length ? new RegExp(parts.join('|'), 'i') : null;
+}
+
+function compileProfile(name, def) {
+  const rules = (def.rules || []).map((r, i) => {
+    const match = compilePattern(r.keywords, r.regex);
+    if (!match) throw new Error(`Profil "${name}": Regel ${i + 1} hat weder keywords noch regex`);
+    return {
+      priority: typeof r.priority === 'number' ? r.priority : i + 1,
+      label: r.label || `Regel ${i + 1}`,
+      icon: r.icon || '⭐',
+      color: typeof r.color === 'string' ? parseInt(r.color.replace('#', ''), 16) : (r.color ?? null),
+      outdoor: r.outdoor === true,
+      match,
+      exclude: compilePattern(r.excludeKeywords || r.exclude, r.excludeRegex),
+    };
+  });
+  return { name, rules: rules.sort((a, b) => a.priority - b.priority) };
+}
+
+function loadProfile(name, config = {}) {
+  const profiles = { ...BUILTIN_PROFILES, ...(config.profiles || {}) };
+  const key = name || config.defaultProfile || 'sport';
+  if (!profiles[key]) {
+    throw new Error(`Unbekanntes Profil "${key}" (verfügbar: ${Object.keys(profiles).join(', ')})`);
+  }
+  return compileProfile(key, profiles[key]);
+}
+
+const DEFAULT_PROFILE = compileProfile('sport', BUILTIN_PROFILES.sport);
+
+function matchProfile(e, profile = DEFAULT_PROFILE) {
+  const text = [e.name, e.description, e.type].filter(Boolean).join(' ').toLowerCase();
+  for (const r of profile.rules) {
+    if (!r.match.test(text)) continue;
+    if (r.exclude && r.exclude.test(text)) continue;
+    return { priority: r.priority, label: r.label, icon: r.icon, color: r.color, outdoor: r.outdoor };
+  }
+  return null;
+}
+
+module.exports = { BUILTIN_PROFILES, NO_MATCH_PRIORITY, compileProfile, loadProfile, matchProfile };
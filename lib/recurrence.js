@@ -0,0 +1,83 @@
+/**
+ * Recurring Events ("Jeden Samstag", "jeden 1. Sonntag im Monat", "täglich")
+ *
+ * Scrapers pass the list item text; recurring items are expanded into one
+ * event per occurrence inside the requested range (and inside the item's
+ * own start/end, if it has one).
+ */
+
+const { isoDay } = require('./dates');
+
+const WEEKDAYS = ['sonntag', 'montag', 'dienstag', 'mittwoch', 'donnerstag', 'freitag', 'samstag'];
+const WD = '(sonntag|montag|dienstag|mittwoch|donnerstag|freitag|samstag)';
+const MAX_OCCURRENCES = 62;
+
+function weekday(name) {
+  return WEEKDAYS.indexOf(name.toLowerCase());
+}
+
+function parseRecurrence(text) {
+  if (!text) return null;
+
+  // "jeden 1. Sonntag im Monat", "jeden letzten Freitag im Monat"
+  const monthly = text.match(new RegExp(`jede[nrs]?\\s+(\\d)\\.?\\s*(?:und\\s+(\\d)\\.?\\s*)?${WD}\\s+im\\s+monat`, 'i'))
+    || text.match(new RegExp(`jede[nrs]?\\s+(letzten)\\s+${WD}\\s+im\\s+monat`, 'i'));
+  if (monthly) {
+    const nth = [monthly[1], monthly.length > 3 ? monthly[2] : null]
+      .filter(Boolean).map(n => (/letzt/i.test(n) ? -1 : parseInt(n, 10)));
+    return { freq: 'monthly', nth, weekdays: [weekday(monthly[monthly.length - 1])], label: monthly[0].trim() };
+  }
+
+  // "Jeden Samstag", "jeden Mittwoch und Freitag", "samstags"
+  const weekly = text.match(new RegExp(`jede[nrs]?\\s+${WD}(?:\\s*(?:,|und)\\s*${WD})*`, 'i'))
+    || text.match(new RegExp(`\\b${WD}s\\b(?:\\s*(?:,|und)\\s*${WD}s\\b)*`, 'i'));
+  if (weekly) {
+    const days = [...weekly[0].toLowerCase().matchAll(new RegExp(WD, 'g'))].map(m => weekday(m[1]));
+    return { freq: 'weekly', weekdays: [...new Set(days)], label: weekly[0].trim() };
+  }
+
+  if (/\btäglich\b|\bjeden\s+tag\b/i.test(text)) return { freq: 'daily', label: 'täglich' };
+  return null;
+}
+
+// "10:00 Uhr", "um 19.30 Uhr"
+function parseTime(text) {
+  const m = (text || '').match(/(\d{1,2})[:.](\d{2})\s*Uhr/);
+  return m ? `${m[1].padStart(2, '0')}:${m[2]}` : null;
+}
+
+function matchesRule(rule, d) {
+  if (rule.freq === 'daily') return true;
+  if (!rule.weekdays.includes(d.getDay())) return false;
+  if (rule.freq === 'weekly') return true;
+  const nth = Math.ceil(d.getDate() / 7);
+  const isLast = new Date(d.getFullYear(), d.getMonth(), d.getDate() + 7).getMonth() !== d.getMonth();
+  return rule.nth.some(n => n === nth || (n === -1 && isLast));
+}
+
+// Occurrence dates (naive local ISO) within range ∩ [from, until]
+function expandRecurrence(rule, dateRange, { from = null, until = null, time = null } = {}) {
+  const start = new Date(Math.max(dateRange.start.getTime(), from ? new Date(from.slice(0, 10) + 'T00:00:00').getTime() : -Infinity));
+  const end = new Date(Math.min(dateRange.end.getTime(), until ? new Date(until.slice(0, 10) + 'T23:59:59').getTime() : Infinity));
+  const out = [];
+  for (let d = new Date(start.getFullYear(), start.getMonth(), start.getDate()); d <= end && out.length < MAX_OCCURRENCES; d.setDate(d.getDate() + 1)) {
+    if (!matchesRule(rule, d)) continue;
+    const day = isoDay(d.getFullYear(), d.getMonth() + 1, d.getDate());
+    out.push(time ? day.replace('T00:00:00', `T${time}:00`) : day);
+  }
+  return out;
+}
+
+// One event per occurrence if `text` describes a recurrence, else [event]
+function expandEvent(event, text, dateRange) {
+  const rule = parseRecurrence(text);
+  if (!rule) return [event];
+  const label = rule.label.charAt(0).toUpperCase() + rule.label.slice(1);
+  // "täglich geöffnet" exhibitions stay one multi-day event
+  if (rule.freq === 'daily') return [{ ...event, recurrence: label }];
+  const time = parseTime(text) || (event.date && event.date.length > 10 && !event.date.endsWith('T00:00:00') ? event.date.slice(11, 16) : null);
+  const dates = expandRecurrence(rule, dateRange, { from: event.date, until: event.endDate, time });
+  return dates.map(date => ({ ...event, date, endDate: null, recurrence: label }));
+}
+
+module.exports = { parseRecurrence, expandRecurrence, expandEvent };
@@ -0,0 +1,79 @@
+/**
+ * Regionen (`regions` in config.json)
+ *
+ * Mehrere Digests aus einem Lauf: jede Region hat Zentrum, Radius,
+ * Provider-Liste, Interessen-Profil und Ausgabeziel. Fehlende Felder
+ * kommen aus den CLI-Optionen bzw. der globalen Config.
+ *
+ *   "regions": {
+ *     "giessen": { "city": "Gießen", "radius": 30, "profile": "sport",
+ *                  "output": { "discordWebhook": "https://discord.com/api/webhooks/…" } },
+ *     "marburg": { "city": "Marburg", "radius": 20, "providers": ["ticketmaster", "marburg", "marburg-deskline"],
+ *                  "output": { "file": "out/marburg.ics" } },
+ *     "wetzlar": { "city": "Wetzlar", "center": "50.5558,8.5045", "output": { "file": "out/wetzlar.md" } }
+ *   }
+ *
+ * `output`: `discordWebhook`, oder `file` mit `format` text/json/ics (sonst
+ * aus der Endung). Ohne `output` geht der Digest auf stdout.
+ */
+
+const { haversineKm } = require('./geo');
+
+const FORMATS = { '.ics': 'ics', '.json': 'json' };
+
+function outputFormat(output) {
+  if (output.format) return output.format;
+  const ext = (output.file || '').toLowerCase().match(/\.[a-z]+$/);
+  return (ext && FORMATS[ext[0]]) || 'text';
+}
+
+// Region definition → options for that region (geo/profile still unresolved)
+function regionOptions(name, def, opts) {
+  const output = def.output || {};
+  const format = output.file ? outputFormat(output) : null;
+  return {
+    ...opts,
+    region: name,
+    city: def.city || def.label || name,
+    center: def.center || null,
+    geo: null,
+    radius: def.radius ?? opts.radius,
+    sources: def.providers || opts.sources,
+    profileName: def.profile || opts.profileName,
+    profile: null,
+    discordWebhook: output.discordWebhook || null,
+    outputFile: output.file || null,
+    json: format ? format === 'json' : opts.json,
+    ics: format ? format === 'ics' : opts.ics,
+  };
+}
+
+/**
+ * `--region a,b` / `--all-regions` → `[{ name, opts }]` in config order.
+ * Throws for unknown names or when the config defines no regions.
+ */
+function resolveRegions(opts, config = {}) {
+  const defs = config.regions || {};
+  const available = Object.keys(defs);
+  if (!available.length) throw new Error('Keine Regionen definiert (regions in config.json)');
+
+  const names = opts.allRegions ? available : opts.region;
+  for (const name of names) {
+    if (!defs[name]) throw new Error(`Unbekannte Region "${name}" (verfügbar: ${available.join(', ')})`);
+  }
+  return names.map(name => ({ name, opts: regionOptions(name, defs[name], opts) }));
+}
+
+/**
+ * One center and radius that contain every region's circle, so geo-aware
+ * providers (Ticketmaster) are asked once for all of them.
+ */
+function coverage(geos) {
+  const lat = geos.reduce((n, g) => n + g.geo.lat, 0) / geos.length;
+  const lon = geos.reduce((n, g) => n + g.geo.lon, 0) / geos.length;
+  const center = { name: geos.map(g => g.geo.name).join(', '), lat, lon };
+  const radius = Math.ceil(Math.max(...geos.map(g => haversineKm(center, g.geo) + g.radius)));
+  return { geo: center, radius };
+}
+
+module.exports = { regionOptions, resolveRegions, coverage };
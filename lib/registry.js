@@ -0,0 +1,68 @@
+/**
+ * Provider Registry
+ *
+ * Jede Datei in providers/ exportiert entweder einen Provider oder
+ * `providers: [...]`. Ein Provider sieht so aus:
+ *
+ *   {
+ *     name: 'giessen',               // Key für --sources / Config
+ *     label: 'Giessen.de',           // Anzeige im Status-Log
+ *     capabilities: ['scrape'],      // api | scrape | browser | geo | price
+ *     enabledByDefault: true,
+ *     fetch: async (dateRange, opts, providerConfig) => ({ events, status }),
+ *   }
+ *
+ * Module ohne Provider (reine Helfer) werden ignoriert. Dazu kommen die
+ * Site-Adapter aus `sites` in config.json (siehe lib/sites.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { providerConfig } = require('./config');
+const { siteProvider } = require('./sites');
+
+const PROVIDER_DIR = path.join(__dirname, '..', 'providers');
+
+function discoverProviders(config = {}, dir = PROVIDER_DIR) {
+  const providers = [];
+  const register = (p, origin) => {
+    if (!p.name || typeof p.fetch !== 'function') {
+      throw new Error(`Ungültiger Provider in ${origin}`);
+    }
+    if (providers.some(x => x.name === p.name)) {
+      throw new Error(`Provider "${p.name}" doppelt registriert (${origin})`);
+    }
+    providers.push({ label: p.name, capabilities: [], enabledByDefault: true, ...p });
+  };
+
+  const files = fs.readdirSync(dir).filter(f => f.endsWith('.js')).sort();
+  for (const file of files) {
+    const mod = require(path.join(dir, file));
+    const list = Array.isArray(mod.providers) ? mod.providers : (typeof mod.fetch === 'function' ? [mod] : []);
+    for (const p of list) register(p, `providers/${file}`);
+  }
+  for (const [name, def] of Object.entries(config.sites || {})) {
+    register(siteProvider(def, name), 'config.json sites');
+  }
+  return providers;
+}
+
+// Precedence: --sources > config.providers[name].enabled > enabledByDefault.
+// --exclude-sources always wins.
+function selectProviders(all, opts, config = {}) {
+  const known = new Set(all.map(p => p.name));
+  for (const name of [...(opts.sources || []), ...(opts.excludeSources || [])]) {
+    if (!known.has(name)) {
+      throw new Error(`Unbekannte Quelle "${name}" (verfügbar: ${[...known].join(', ')})`);
+    }
+  }
+
+  return all.filter(p => {
+    if (opts.excludeSources && opts.excludeSources.includes(p.name)) return false;
+    if (opts.sources) return opts.sources.includes(p.name);
+    const cfg = providerConfig(config, p.name);
+    return typeof cfg.enabled === 'boolean' ? cfg.enabled : p.enabledByDefault;
+  });
+}
+
+module.exports = { PROVIDER_DIR, discoverProviders, selectProviders };
@@ -0,0 +1,57 @@
+/**
+ * RSS 2.0 Feed
+ */
+
+const { format } = require('date-fns');
+const { eventId } = require('./dedup');
+
+function escapeXml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function formatItem(e) {
+  const when = e.date ? new Date(e.date) : null;
+  const desc = [
+    when && !isNaN(when) ? format(when, "dd.MM.yyyy, HH:mm 'Uhr'") : null,
+    [e.venue, e.address].filter(Boolean).join(', ') || null,
+    e.price,
+    e.description,
+    `Quellen: ${(e.sources || [e]).map(s => s.source).join(', ')}`,
+  ].filter(Boolean).join('\n');
+
+  const lines = [
+    '    <item>',
+    `      <title>${escapeXml(e.name)}</title>`,
+    e.url ? `      <link>${escapeXml(e.url)}</link>` : null,
+    `      <guid isPermaLink="false">${eventId(e)}</guid>`,
+    when && !isNaN(when) ? `      <pubDate>${when.toUTCString()}</pubDate>` : null,
+    e.type && e.type !== 'other' ? `      <category>${escapeXml(e.type)}</category>` : null,
+    `      <description>${escapeXml(desc)}</description>`,
+    '    </item>',
+  ];
+  return lines.filter(Boolean).join('\n');
+}
+
+function formatRss(events, { title = 'Events Gießen & Umgebung', link = 'http://localhost/' } = {}) {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0">',
+    '  <channel>',
+    `    <title>${escapeXml(title)}</title>`,
+    `    <link>${escapeXml(link)}</link>`,
+    `    <description>${escapeXml(title)}</description>`,
+    '    <language>de-de</language>',
+    `    <lastBuildDate>${new Date().toUTCString()}</lastBuildDate>`,
+    ...events.map(formatItem),
+    '  </channel>',
+    '</rss>',
+    '',
+  ].join('\n');
+}
+
+module.exports = { formatRss };
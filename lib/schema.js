@@ -0,0 +1,154 @@
+/**
+ * Event schema (version 1)
+ *
+ * Every provider's output is checked and normalized here before dedup;
+ * items that don't fit are logged and dropped instead of reaching
+ * sorting and output. Events leaving the pipeline (JSON, API, MCP) carry:
+ *
+ *   schemaVersion   1
+ *   id              stable hash of name + day (lib/dedup.js)
+ *   name, source    non-empty strings
+ *   date            naive Europe/Berlin wall clock "2026-10-24T20:00:00", null if undated
+ *   startDate       the same moment with offset "2026-10-24T20:00:00+02:00"
+ *   endDate         with offset or null, never before startDate
+ *   allDay          the source only gave a day (date is then T00:00:00)
+ *   price           display text ("Ab 12€", "kostenlos") or null
+ *   priceMin, priceMax, currency, free
+ *                   typed price; null when unknown, priceMax null for "ab …"
+ *   type, types, status, …  see lib/classify.js
+ */
+
+const { toBerlinIso, withBerlinOffset } = require('./dates');
+
+const SCHEMA_VERSION = 1;
+
+const NAIVE_ISO = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2})$/;
+
+// Naive ISO that names a real wall-clock time ("2026-02-30" is not)
+function isValidNaive(str) {
+  const m = NAIVE_ISO.exec(str || '');
+  if (!m) return false;
+  const [y, mo, d, h, mi, s] = m.slice(1).map(Number);
+  const t = new Date(Date.UTC(y, mo - 1, d, h, mi, s));
+  return y >= 1970 && y < 2100 && t.getUTCMonth() === mo - 1 && t.getUTCDate() === d && h < 24 && mi < 60 && s < 60;
+}
+
+const isMidnight = str => /T00:00(:00)?$/.test(str);
+const nonEmpty = v => typeof v === 'string' && v.trim() !== '';
+
+// ── Price ───────────────────────────────────────────────────────────────
+
+const CURRENCIES = [
+  { code: 'CHF', pattern: /chf|fr\./i },
+  { code: 'USD', pattern: /usd|\$/i },
+  { code: 'GBP', pattern: /gbp|£/i },
+];
+const FREE = /kostenlos|kostenfrei|eintritt\s+frei|freier\s+eintritt|\bfrei\b|\bgratis\b|\bfree\b|ohne\s+eintritt/i;
+const AMOUNT = /(?:€|eur\b|euro\b|chf|\$|£)?\s*(\d{1,4}(?:[.,]\d{1,2})?)\s*(€|eur\b|euro\b|chf|fr\.|\$|£|usd|gbp)?/gi;
+
+/**
+ * Price text → `{ priceMin, priceMax, currency, free }`.
+ * "Ab 12€" → 12/null, "VVK 12 € / AK 15 €" → 12/15, "25–59,90€" → 25/59.9,
+ * "Eintritt frei" → 0/0 free. Numbers without a currency only count when
+ * the text names none at all ("12,50"), so "Kinder bis 12 Jahre 5€" is 5.
+ */
+function parsePrice(text) {
+  const unknown = { priceMin: null, priceMax: null, currency: null, free: null };
+  if (!nonEmpty(text)) return unknown;
+
+  // "25–59,90€": the currency of a range belongs to both ends
+  const spelled = text.replace(/(\d+(?:[.,]\d{1,2})?)\s*(–|-|bis)\s*(\d+(?:[.,]\d{1,2})?)\s*(€|eur\b|euro\b|chf)/gi, '$1 $4 $2 $3 $4');
+  const matches = [...spelled.matchAll(AMOUNT)].filter(m => m[1]);
+  const withCurrency = matches.filter(m => m[2] || /[€$£]|eur|chf/i.test(m[0].split(m[1])[0]));
+  const amounts = (withCurrency.length ? withCurrency : /[€$£]|eur|chf/i.test(text) ? [] : matches)
+    .map(m => parseFloat(m[1].replace(',', '.')));
+
+  if (!amounts.length) return FREE.test(text) ? { priceMin: 0, priceMax: 0, currency: 'EUR', free: true } : unknown;
+
+  const currency = (CURRENCIES.find(c => c.pattern.test(text)) || { code: 'EUR' }).code;
+  const priceMin = Math.min(...amounts);
+  const from = /\bab\b|\bfrom\b|\bvon\b(?!.*\bbis\b)/i.test(text) && amounts.length === 1;
+  return { priceMin, priceMax: from ? null : Math.max(...amounts), currency, free: Math.max(...amounts) === 0 };
+}
+
+// ── Validation ──────────────────────────────────────────────────────────
+
+/**
+ * Raw provider event → `{ event, errors }`. `event` is the normalized copy
+ * (Berlin wall clock, allDay, typed price); `errors` lists why the item is
+ * unusable (German, for the run log).
+ */
+function normalizeEvent(raw) {
+  const errors = [];
+  if (!raw || typeof raw !== 'object') return { event: null, errors: ['kein Objekt'] };
+
+  if (!nonEmpty(raw.name)) errors.push('name fehlt');
+  if (!nonEmpty(raw.source)) errors.push('source fehlt');
+  for (const f of ['venue', 'address', 'url', 'price', 'description']) {
+    if (raw[f] != null && typeof raw[f] !== 'string') errors.push(`${f} ist kein Text`);
+  }
+
+  let date = null;
+  if (raw.date != null) {
+    date = typeof raw.date === 'string' ? toBerlinIso(raw.date.trim()) : null;
+    if (!isValidNaive(date)) errors.push(`date ungültig (${JSON.stringify(raw.date)})`);
+  }
+  let endDate = null;
+  if (raw.endDate != null && raw.endDate !== '') {
+    endDate = typeof raw.endDate === 'string' ? toBerlinIso(raw.endDate.trim()) : null;
+    if (!isValidNaive(endDate)) errors.push(`endDate ungültig (${JSON.stringify(raw.endDate)})`);
+  }
+  if (errors.length) return { event: null, errors };
+
+  if (endDate && (!date || endDate < date)) {
+    // "22:00 bis 02:00" on the same day runs past midnight
+    const sameDay = date && endDate.slice(0, 10) === date.slice(0, 10);
+    endDate = sameDay ? toBerlinIso(new Date(Date.parse(`${endDate}Z`) + 86400000).toISOString().slice(0, 19)) : null;
+  }
+
+  const allDay = typeof raw.allDay === 'boolean' ? raw.allDay : date ? isMidnight(date) : null;
+  const typed = typeof raw.priceMin === 'number'
+    ? { priceMin: raw.priceMin, priceMax: raw.priceMax ?? null, currency: raw.currency || 'EUR', free: raw.priceMin === 0 && !raw.priceMax }
+    : parsePrice(raw.price);
+
+  const event = {
+    ...raw,
+    name: raw.name.replace(/\s+/g, ' ').trim(),
+    date,
+    endDate,
+    allDay,
+    type: nonEmpty(raw.type) ? raw.type : 'other',
+    price: nonEmpty(raw.price) ? raw.price.trim() : null,
+    ...typed,
+  };
+  for (const f of ['lat', 'lon']) if (event[f] != null && !Number.isFinite(event[f])) delete event[f];
+  return { event, errors };
+}
+
+// → `{ events, invalid: [{ event, errors }] }`
+function validateEvents(list) {
+  const events = [];
+  const invalid = [];
+  for (const raw of list || []) {
+    const { event, errors } = normalizeEvent(raw);
+    if (event) events.push(event);
+    else invalid.push({ event: raw, errors });
+  }
+  return { events, invalid };
+}
+
+// Output shape: schema version, offset timestamps. Detail pages may have
+// added a time or a price after validation, so both are settled here.
+function finalizeEvent(e) {
+  const price = e.price && e.free == null ? parsePrice(e.price) : {};
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    ...e,
+    ...price,
+    allDay: !!e.date && e.allDay !== false && isMidnight(e.date),
+    startDate: withBerlinOffset(e.date),
+    endDate: withBerlinOffset(e.endDate),
+  };
+}
+
+module.exports = { SCHEMA_VERSION, parsePrice, normalizeEvent, validateEvents, finalizeEvent };
@@ -0,0 +1,63 @@
+/**
+ * Full-text matching & attribute filters (--query, --exclude, --source,
+ * --venue, --free, --max-price, --after/--before)
+ */
+
+function fold(str) {
+  return (str || '').toLowerCase()
+    .replace(/ß/g, 'ss')
+    .normalize('NFD').replace(/[̀-ͯ]/g, '');
+}
+
+// Every whitespace-separated term must appear in name, description,
+// venue or place (case- and diacritic-insensitive)
+function matchesQuery(e, query) {
+  const terms = fold(query).split(/\s+/).filter(Boolean);
+  if (!terms.length) return true;
+  const text = fold([e.name, e.description, e.venue, e.place, e.address].filter(Boolean).join(' '));
+  return terms.every(t => text.includes(t));
+}
+
+// Any of the phrases appears in name, description or venue
+function matchesAny(e, phrases) {
+  const text = fold([e.name, e.description, e.venue].filter(Boolean).join(' '));
+  return phrases.some(p => fold(p) && text.includes(fold(p)));
+}
+
+// "18", "18:30", "18 Uhr", "6pm" → "18:00"/"18:30", null if unreadable
+function parseTimeOfDay(str) {
+  const m = String(str).trim().toLowerCase().match(/^(\d{1,2})(?:[:.](\d{2}))?\s*(uhr|h|am|pm)?$/);
+  if (!m) return null;
+  let h = parseInt(m[1], 10);
+  const min = m[2] ? parseInt(m[2], 10) : 0;
+  if (m[3] === 'pm' && h < 12) h += 12;
+  if (m[3] === 'am' && h === 12) h = 0;
+  if (h > 23 || min > 59) return null;
+  return `${String(h).padStart(2, '0')}:${String(min).padStart(2, '0')}`;
+}
+
+/**
+ * Attribute filters from the parsed options. Events without the attribute
+ * never match: no price fails --free/--max-price, all-day and undated
+ * events fail --after/--before.
+ */
+function matchesFilters(e, opts) {
+  if (opts.query && !matchesQuery(e, opts.query)) return false;
+  if (opts.exclude && matchesAny(e, opts.exclude)) return false;
+  if (opts.source) {
+    const sources = (e.sources || [e]).map(s => fold(s.source));
+    if (!opts.source.some(s => sources.some(x => x.includes(fold(s))))) return false;
+  }
+  if (opts.venue && !fold([e.venue, e.address].filter(Boolean).join(' ')).includes(fold(opts.venue))) return false;
+  if (opts.free && e.free !== true) return false;
+  if (opts.maxPrice != null && !(e.priceMin != null && e.priceMin <= opts.maxPrice)) return false;
+  if (opts.after || opts.before) {
+    if (!e.date || e.allDay) return false;
+    const time = e.date.slice(11, 16);
+    if (opts.after && time < opts.after) return false;
+    if (opts.before && time >= opts.before) return false;
+  }
+  return true;
+}
+
+module.exports = { fold, matchesQuery, matchesAny, parseTimeOfDay, matchesFilters };
@@ -0,0 +1,140 @@
+/**
+ * HTTP API (`node index.js serve`)
+ *
+ *   GET /events[.json|.ics|.rss]?date=&type=&exclude-type=&radius=&city=&center=&sources=&profile=&include-cancelled=1
+ *       &query=&exclude=&source=&venue=&free=1&max-price=&after=&before=&limit=
+ *   GET /sources
+ *
+ * Query parameters are the CLI flags without dashes; switches take 1/true/yes
+ * (or no value) and 0/false/no. Without an extension the format follows the
+ * Accept header (JSON by default). Invalid input is a 400 with the message.
+ */
+
+const http = require('http');
+const { parseArgs } = require('./args');
+const { getDateRange } = require('./dates');
+const { discoverProviders, selectProviders } = require('./registry');
+const { aggregate, applyFilters, prepareOpts, providerHealth } = require('./aggregate');
+const { formatIcs } = require('./ics');
+const { formatRss } = require('./rss');
+
+const QUERY_FLAGS = ['date', 'type', 'exclude-type', 'radius', 'city', 'center', 'sources', 'exclude-sources', 'profile', 'limit', 'include-cancelled',
+  'query', 'exclude', 'source', 'venue', 'free', 'max-price', 'after', 'before', 'weather', 'hide-bad-weather'];
+// Switches without a value on the command line
+const BOOLEAN_FLAGS = new Set(['include-cancelled', 'free', 'weather', 'hide-bad-weather']);
+const FALSE = /^(0|false|no|nein|off)$/i;
+
+const FORMATS = {
+  json: 'application/json; charset=utf-8',
+  ics: 'text/calendar; charset=utf-8',
+  rss: 'application/rss+xml; charset=utf-8',
+};
+
+function queryToArgs(searchParams) {
+  const args = [];
+  for (const flag of QUERY_FLAGS) {
+    const v = searchParams.get(flag);
+    if (BOOLEAN_FLAGS.has(flag)) {
+      if (v !== null && !FALSE.test(v.trim())) args.push(`--${flag}`);
+    } else if (v) {
+      args.push(`--${flag}`, v);
+    }
+  }
+  return args;
+}
+
+function negotiate(ext, accept = '') {
+  if (ext) return FORMATS[ext] ? ext : null;
+  if (/text\/calendar/.test(accept)) return 'ics';
+  if (/application\/(rss\+)?xml/.test(accept)) return 'rss';
+  return 'json';
+}
+
+function send(res, status, type, body) {
+  res.writeHead(status, { 'Content-Type': FORMATS[type] || type });
+  res.end(body);
+}
+
+function sendError(res, status, message) {
+  send(res, status, 'json', JSON.stringify({ error: message }));
+}
+
+async function handleEvents(req, res, url, ext, config) {
+  const fmt = negotiate(ext, req.headers.accept);
+  if (!fmt) return sendError(res, 404, `Unbekanntes Format .${ext}`);
+
+  let opts;
+  let dateRange;
+  try {
+    opts = parseArgs(queryToArgs(url.searchParams));
+    dateRange = getDateRange(opts.date, { defaultDate: config.defaultDate });
+    // Unknown city, profile or source: the caller's mistake, not a 500
+    prepareOpts(opts, config);
+    selectProviders(discoverProviders(config), opts, config);
+  } catch (e) {
+    return sendError(res, 400, e.message);
+  }
+
+  const { events, cached } = await aggregate(opts, config, dateRange);
+  const filtered = applyFilters(events, opts);
+  res.setHeader('X-Cache', cached ? 'HIT' : 'MISS');
+
+  if (fmt === 'ics') return send(res, 200, 'ics', formatIcs(filtered));
+  if (fmt === 'rss') {
+    return send(res, 200, 'rss', formatRss(filtered, { title: `Events ${opts.city} & Umgebung`, link: `http://${req.headers.host}${url.pathname}` }));
+  }
+  send(res, 200, 'json', JSON.stringify({
+    range: { start: dateRange.start.toISOString(), end: dateRange.end.toISOString() },
+    count: filtered.length,
+    events: filtered,
+  }, null, 2));
+}
+
+function handleSources(res, opts, config) {
+  const all = discoverProviders(config);
+  const enabled = new Set(selectProviders(all, { ...opts, sources: null, excludeSources: null }, config).map(p => p.name));
+  const health = providerHealth();
+  send(res, 200, 'json', JSON.stringify(all.map(p => {
+    const h = health.get(p.name) || {};
+    return {
+      name: p.name,
+      label: p.label,
+      capabilities: p.capabilities,
+      enabled: enabled.has(p.name),
+      lastStatus: h.status || null,
+      lastCount: h.count ?? null,
+      lastLatencyMs: h.latencyMs ?? null,
+      lastRequests: h.requests || null,
+      // Answered from the provider cache (`lastStale`: after a failed fetch)
+      lastCached: h.cached ?? null,
+      lastStale: h.stale ?? null,
+      lastCacheAgeMs: h.cacheAgeMs ?? null,
+      lastRun: h.at || null,
+    };
+  }), null, 2));
+}
+
+function startServer(opts, config) {
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const route = url.pathname.match(/^\/(events|sources)(?:\.(\w+))?\/?$/);
+    try {
+      if (req.method !== 'GET') return sendError(res, 405, 'Nur GET');
+      if (route && route[1] === 'events') return await handleEvents(req, res, url, route[2], config);
+      if (route && route[1] === 'sources' && !route[2]) return handleSources(res, opts, config);
+      sendError(res, 404, 'Nicht gefunden');
+    } catch (e) {
+      console.error(`❌ ${req.method} ${req.url}: ${e.message}`);
+      sendError(res, 500, e.message);
+    }
+  });
+
+  return new Promise(resolve => {
+    server.listen(opts.port, () => {
+      console.error(`🌐 API läuft auf http://localhost:${server.address().port} (/events, /sources)`);
+      resolve(server);
+    });
+  });
+}
+
+module.exports = { startServer, queryToArgs };
@@ -0,0 +1,238 @@
+/**
+ * Deklarative Site-Adapter für kommunale Veranstaltungskalender
+ *
+ * Die Stadt-Seiten (giessen.de, wetzlar.de, marburg.de, …) unterscheiden
+ * sich nur in URL, Selektoren und ein paar Regeln. Ein Adapter beschreibt
+ * diese als JSON (providers/sites/*.json oder `sites` in config.json),
+ * die Engine hier führt ihn aus:
+ *
+ *   {
+ *     "name": "lich",                       // Key für --sources / Config
+ *     "label": "Lich.de",
+ *     "enabledByDefault": false,
+ *     "source": "lich.de",                  // `source` der Events
+ *     "base": "https://www.lich.de",
+ *     "urls": ["/veranstaltungen/"],        // Listen-Seiten (relativ zu base)
+ *     "item": "ul li",                      // ein Element pro Event
+ *     "link": "a[href*='/veranstaltungen/']", // Link im Item (fehlt: Item ist der Link)
+ *     "block": "div, li",                   // optional: Text-Kontext = closest(block)
+ *     "title": "slug",                      // Name aus: slug | heading | link
+ *     "slugPattern": "veranstaltungen/([^.?]+)",
+ *     "nameSplit": "weiterlesen|Am\\s+\\d", // optional: Name = Text davor
+ *     "minNameLength": 3,
+ *     "skipNames": "^(heute|morgen)$",      // Regex, case-insensitive
+ *     "skipHref": ["index.php"],            // Teilstrings
+ *     "skipLinkText": ["zurück"],
+ *     "dates": "numeric",                   // numeric (25.02.2026 18:00) | text (11. und 12. April)
+ *     "undated": "skip",                    // skip | keep | recurring
+ *     "description": "afterDate",           // afterDate | block | none
+ *     "venue": null,
+ *     "address": "Lich"
+ *   }
+ */
+
+const cheerio = require('cheerio');
+const { fetchHtml } = require('./http');
+const { parseDateDE, parseDateRangeDE, overlapsRange } = require('./dates');
+const { parseRecurrence, expandEvent } = require('./recurrence');
+
+const TITLE_STRATEGIES = ['slug', 'heading', 'link'];
+const DATE_STRATEGIES = ['numeric', 'text'];
+const UNDATED = ['skip', 'keep', 'recurring'];
+const DESCRIPTIONS = ['afterDate', 'block', 'none'];
+
+const clean = s => (s || '').replace(/\s+/g, ' ').trim();
+
+// ── Adapter ─────────────────────────────────────────────────────────────
+
+function toRegex(str, name, field) {
+  if (!str) return null;
+  try {
+    return new RegExp(str, 'i');
+  } catch (e) {
+    throw new Error(`Site-Adapter "${name}": ${field} ist kein gültiger Regex (${e.message})`);
+  }
+}
+
+function oneOf(value, allowed, fallback, name, field) {
+  if (value == null) return fallback;
+  if (!allowed.includes(value)) {
+    throw new Error(`Site-Adapter "${name}": ${field} muss ${allowed.join(' | ')} sein`);
+  }
+  return value;
+}
+
+// Validates a JSON adapter and compiles its regexes
+function compileAdapter(def, name = def.name) {
+  if (!name) throw new Error('Site-Adapter ohne "name"');
+  for (const field of ['base', 'urls', 'item']) {
+    if (!def[field] || (Array.isArray(def[field]) && !def[field].length)) {
+      throw new Error(`Site-Adapter "${name}": "${field}" fehlt`);
+    }
+  }
+  return {
+    name,
+    label: def.label || name,
+    enabledByDefault: def.enabledByDefault === true,
+    source: def.source || new URL(def.base).hostname.replace(/^www\./, ''),
+    base: def.base.replace(/\/$/, ''),
+    urls: [].concat(def.urls),
+    item: def.item,
+    link: def.link || null,
+    block: def.block || null,
+    title: oneOf(def.title, TITLE_STRATEGIES, 'link', name, 'title'),
+    slugPattern: toRegex(def.slugPattern, name, 'slugPattern'),
+    nameSplit: toRegex(def.nameSplit, name, 'nameSplit'),
+    minNameLength: def.minNameLength || 3,
+    skipNames: toRegex(def.skipNames, name, 'skipNames'),
+    skipHref: [].concat(def.skipHref || []),
+    skipLinkText: [].concat(def.skipLinkText || []).map(s => s.toLowerCase()),
+    dates: oneOf(def.dates, DATE_STRATEGIES, 'numeric', name, 'dates'),
+    undated: oneOf(def.undated, UNDATED, 'keep', name, 'undated'),
+    description: oneOf(def.description, DESCRIPTIONS, 'none', name, 'description'),
+    venue: def.venue || null,
+    address: def.address || null,
+  };
+}
+
+// ── Extraction ──────────────────────────────────────────────────────────
+
+function slugName(href, pattern) {
+  const m = pattern && href && href.match(pattern);
+  if (!m) return null;
+  try {
+    return decodeURIComponent(m[1]).replace(/-/g, ' ').replace(/\.php$/i, '').trim();
+  } catch {
+    return null;
+  }
+}
+
+function linkName($link) {
+  return clean($link.text())
+    .replace(/^©\s*.+?\s{2,}/, '') // © Author  Title (double space separates)
+    .replace(/^©\s*/, '')
+    .trim();
+}
+
+function extractName(a, $link, $block, text, href) {
+  let name = null;
+  if (a.title === 'slug') name = slugName(href, a.slugPattern);
+  if (a.title === 'heading') {
+    const $heading = $block.find('h3, h4, h5').first();
+    name = $heading.length ? clean($heading.text()) : clean($link.closest('h3, h4, h5').text());
+  }
+  if (!name && a.nameSplit) name = clean(text.split(a.nameSplit)[0]);
+  if (!name || name.length < a.minNameLength) name = linkName($link);
+  return name ? (name.split(/\d{2}\.\d{2}\.\d{4}/)[0].trim() || name).slice(0, 100) : null;
+}
+
+// "25.02.2026 18:00 (bis 22:00) Uhr", "24.02.2026 bis 26.02.2026", "25.02.2026"
+function numericDates(text) {
+  const single = text.match(/(\d{2}\.\d{2}\.\d{4})\s+(\d{2}:\d{2})(?:\s+bis\s+(\d{2}:\d{2}))?/);
+  const range = text.match(/(\d{2}\.\d{2}\.\d{4})\s+bis\s+(\d{2}\.\d{2}\.\d{4})/);
+  const dateOnly = text.match(/(\d{2}\.\d{2}\.\d{4})/);
+  if (single) {
+    const start = parseDateDE(`${single[1]} ${single[2]}`);
+    return { start, end: single[3] && start ? `${start.slice(0, 10)}T${single[3]}:00` : null };
+  }
+  if (range) return { start: parseDateDE(range[1]), end: parseDateDE(range[2]) };
+  if (dateOnly) return { start: parseDateDE(dateOnly[1]), end: null };
+  return null;
+}
+
+// "12.04.2026", "11. und 12. April", "24.02. bis 26.02.2026", "30. April 2026"
+function textDates(text) {
+  if (text.match(/\d{2}\.\d{2}\.\d{4}/) || text.match(/\d{1,2}\.?\s+(?:und|bis)\s+\d{1,2}\.?\s+\w+/i)) {
+    return parseDateRangeDE(text);
+  }
+  if (text.match(/\d{1,2}\.?\s+\w+\s+\d{4}/i)) {
+    const start = parseDateDE(text);
+    return start ? { start, end: null } : null;
+  }
+  return null;
+}
+
+function extractDescription(a, text) {
+  if (a.description === 'block') return text.slice(0, 200);
+  if (a.description !== 'afterDate') return null;
+  const afterTime = text.match(/Uhr\s+(.+?)(?:\s+Mehr\s*\.\.\.)?$/);
+  if (afterTime) return afterTime[1].slice(0, 200);
+  const afterDate = text.match(/\d{4}\s+(.{10,}?)$/);
+  return afterDate ? afterDate[1].slice(0, 200) : null;
+}
+
+/**
+ * Runs a compiled adapter over one list page. Pure (no network), so
+ * adapters can be checked against saved HTML.
+ */
+function parseSitePage(html, a, dateRange) {
+  const $ = cheerio.load(html);
+  const events = [];
+
+  $(a.item).each((_, el) => {
+    const $el = $(el);
+    const $link = a.link ? $el.find(a.link).first() : $el;
+    if (!$link.length) return;
+    const href = $link.attr('href');
+    if (!href || a.skipHref.some(s => href.includes(s))) return;
+    if (a.skipLinkText.some(s => $link.text().toLowerCase().includes(s))) return;
+
+    const $closest = a.block ? $link.closest(a.block) : null;
+    const $block = $closest && $closest.length ? $closest : (a.block ? $link.parent() : $el);
+    const text = clean($block.text());
+
+    const name = extractName(a, $link, $block, text, href);
+    if (!name || name.length < a.minNameLength) return;
+    if (a.skipNames && a.skipNames.test(name)) return;
+
+    const range = a.dates === 'text' ? textDates(text) : numericDates(text);
+    if (!range || !range.start) {
+      if (a.undated === 'skip') return;
+      if (a.undated === 'recurring' && !parseRecurrence(text)) return;
+    } else if (!overlapsRange(range.start, range.end, dateRange)) {
+      return;
+    }
+
+    events.push(...expandEvent({
+      name,
+      date: range?.start || null,
+      endDate: range?.end || null,
+      venue: a.venue,
+      address: a.address,
+      type: 'other',
+      url: href.startsWith('http') ? href : `${a.base}${href.startsWith('/') ? '' : '/'}${href}`,
+      price: null,
+      source: a.source,
+      description: extractDescription(a, text),
+    }, text, dateRange));
+  });
+
+  return events;
+}
+
+// ── Provider ────────────────────────────────────────────────────────────
+
+function siteProvider(def, name) {
+  const a = compileAdapter(def, name);
+  return {
+    name: a.name,
+    label: a.label,
+    capabilities: ['scrape'],
+    enabledByDefault: a.enabledByDefault,
+    adapter: a,
+    fetch: async (dateRange) => {
+      try {
+        const events = [];
+        for (const url of a.urls) {
+          const html = await fetchHtml(url.startsWith('http') ? url : `${a.base}${url}`);
+          events.push(...parseSitePage(html, a, dateRange));
+        }
+        return { events, status: `ok (${events.length} Events)` };
+      } catch (e) {
+        return { events: [], status: `error: ${e.message}` };
+      }
+    },
+  };
+}
+
+module.exports = { compileAdapter, parseSitePage, siteProvider };
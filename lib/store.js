@@ -0,0 +1,135 @@
+/**
+ * Persistent Event Store (.cache/event-store.jsonl)
+ *
+ * One JSON line per event id with firstSeen/lastSeen and the last seen
+ * snapshot. Comparing a run against the previous one yields the
+ * 🆕 new / ✏️ changed / ❌ disappeared flags for --since-last-run.
+ * Ids come from name + day, so an event that moved to another day or got
+ * a different merged name is matched to its old record before it counts
+ * as new.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { eventId, eventKey } = require('./dedup');
+
+const STORE_DIR = path.join(__dirname, '..', '.cache');
+const STORE_FILE = 'event-store.jsonl';
+const META_FILE = 'event-store.meta.json';
+const RETENTION_MS = 90 * 24 * 60 * 60 * 1000;
+
+// Fields whose change makes an event "changed"
+const TRACKED = [
+  { field: 'date', label: 'Zeit' },
+  { field: 'venue', label: 'Ort' },
+  { field: 'price', label: 'Preis' },
+];
+
+function loadStore(dir = STORE_DIR) {
+  const records = new Map();
+  const file = path.join(dir, STORE_FILE);
+  if (fs.existsSync(file)) {
+    for (const line of fs.readFileSync(file, 'utf-8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const r = JSON.parse(line);
+        records.set(r.id, r);
+      } catch { /* skip corrupt line */ }
+    }
+  }
+  let lastRun = null;
+  const meta = path.join(dir, META_FILE);
+  if (fs.existsSync(meta)) {
+    try { lastRun = JSON.parse(fs.readFileSync(meta, 'utf-8')).lastRun || null; } catch {}
+  }
+  return { dir, records, lastRun };
+}
+
+function saveStore(store, now = Date.now()) {
+  if (!fs.existsSync(store.dir)) fs.mkdirSync(store.dir, { recursive: true });
+  const lines = [];
+  for (const r of store.records.values()) {
+    if (now - r.lastSeen > RETENTION_MS) continue;
+    lines.push(JSON.stringify(r));
+  }
+  fs.writeFileSync(path.join(store.dir, STORE_FILE), lines.join('\n') + '\n');
+  fs.writeFileSync(path.join(store.dir, META_FILE), JSON.stringify({ lastRun: store.lastRun }));
+}
+
+function inRange(e, dateRange) {
+  if (!e.date) return false;
+  const start = new Date(e.date).getTime();
+  const end = e.endDate ? new Date(e.endDate).getTime() : start;
+  return end >= dateRange.start.getTime() && start <= dateRange.end.getTime();
+}
+
+const nameKey = e => eventKey(e).split('|')[0];
+const sourceUrls = e => (e.sources || [e]).map(s => s.url).filter(Boolean);
+
+// The one record from the previous run that `e` continues: same source and
+// name on another day (moved), or a shared source URL on the same day
+// (renamed). Ambiguous matches stay new/disappeared.
+function findPrevious(e, gone) {
+  const urls = new Set(sourceUrls(e));
+  const day = (e.date || '').slice(0, 10);
+  const hits = gone.filter(r => {
+    const prev = r.snapshot;
+    if (prev.source === e.source && nameKey(prev) === nameKey(e)) return true;
+    return (prev.date || '').slice(0, 10) === day && sourceUrls(prev).some(u => urls.has(u));
+  });
+  return hits.length === 1 ? hits[0] : null;
+}
+
+/**
+ * Records `events` in the store and returns them annotated with
+ * id/firstSeen/lastSeen/changeStatus/changes, followed by events from the
+ * previous run that are gone now. Only events whose source answered this
+ * run can be reported as disappeared, so a failing scraper doesn't flag
+ * its whole week as ❌.
+ */
+function trackEvents(store, events, { dateRange, okSources, now = Date.now() }) {
+  const prevRun = store.lastRun;
+  const ids = events.map(eventId);
+  const seenNow = new Set(ids);
+
+  // Candidates for "disappeared", unless a moved/renamed event claims them
+  const gone = !prevRun ? [] : [...store.records.values()].filter(rec => !seenNow.has(rec.id)
+    && rec.lastSeen === prevRun && inRange(rec.snapshot, dateRange) && okSources.has(rec.snapshot.source));
+  const claimed = new Set();
+
+  const tracked = events.map((e, i) => {
+    const id = ids[i];
+    let rec = store.records.get(id);
+    if (!rec) {
+      rec = findPrevious(e, gone.filter(r => !claimed.has(r.id)));
+      if (rec) {
+        claimed.add(rec.id);
+        store.records.delete(rec.id);
+      }
+    }
+    let changeStatus = null;
+    let changes = [];
+
+    if (!rec) {
+      changeStatus = prevRun ? 'new' : null;
+    } else {
+      changes = TRACKED
+        .filter(t => (rec.snapshot[t.field] || null) !== (e[t.field] || null))
+        .map(t => ({ field: t.field, label: t.label, from: rec.snapshot[t.field] || null, to: e[t.field] || null }));
+      if (changes.length) changeStatus = 'changed';
+    }
+
+    const { changeStatus: _s, changes: _c, firstSeen: _f, lastSeen: _l, ...snapshot } = e;
+    store.records.set(id, { id, firstSeen: rec ? rec.firstSeen : now, lastSeen: now, snapshot });
+    return { ...e, id, firstSeen: rec ? rec.firstSeen : now, lastSeen: now, changeStatus, changes };
+  });
+
+  const disappeared = gone
+    .filter(rec => !claimed.has(rec.id))
+    .map(rec => ({ ...rec.snapshot, id: rec.id, firstSeen: rec.firstSeen, lastSeen: rec.lastSeen, changeStatus: 'disappeared', changes: [] }));
+
+  store.lastRun = now;
+  return [...tracked, ...disappeared];
+}
+
+module.exports = { STORE_DIR, loadStore, saveStore, trackEvents };
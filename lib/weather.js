@@ -0,0 +1,172 @@
+/**
+ * Wetter für Outdoor-Events (--weather)
+ *
+ * Events, deren Profil-Regel `outdoor` ist (Gravel, MTB, Wandern), bekommen
+ * die Tagesvorhersage für ihren Ort: Temperatur, Regenwahrscheinlichkeit,
+ * Wind. Abgefragt wird eine Open-Meteo-kompatible API, einmal pro ~10-km-
+ * Raster und 3h gecacht. Einstellungen über `weather` in config.json:
+ *
+ *   { "enabled": false, "baseUrl": "https://api.open-meteo.com/v1/forecast",
+ *     "rainProbability": 60, "windKmh": 40, "minTemperature": 0 }
+ *
+ * `baseUrl` (oder WEATHER_URL) kann z.B. auf `/v1/dwd-icon` oder einen
+ * lokalen Stub zeigen. Die Schwellen legen fest, wann eine Vorhersage
+ * "schlecht" ist (`--hide-bad-weather`).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { format } = require('date-fns');
+const { fetchJson, withRequestScope, takeRequestStats, formatRequestStats } = require('./http');
+const { locateEvent } = require('./geo');
+const { writeCacheFile } = require('./cache');
+
+const WEATHER_DIR = path.join(__dirname, '..', '.cache', 'weather');
+const WEATHER_TTL_MS = 3 * 60 * 60 * 1000;
+const DEFAULT_URL = 'https://api.open-meteo.com/v1/forecast';
+// Open-Meteo's maximum
+const FORECAST_DAYS = 16;
+const DEFAULTS = { enabled: false, rainProbability: 60, windKmh: 40, minTemperature: 0 };
+
+const DAILY = ['weather_code', 'temperature_2m_max', 'temperature_2m_min', 'precipitation_probability_max', 'wind_speed_10m_max'];
+
+function weatherSettings(config = {}) {
+  const settings = { ...DEFAULTS, ...(config.weather || {}) };
+  return { ...settings, baseUrl: settings.baseUrl || process.env.WEATHER_URL || DEFAULT_URL };
+}
+
+// ── Cache ───────────────────────────────────────────────────────────────
+
+function cellFile(cell) {
+  return path.join(WEATHER_DIR, `${cell.replace(/[^0-9.,-]/g, '').replace(',', '_')}.json`);
+}
+
+function readForecast(cell, baseUrl, now = Date.now()) {
+  try {
+    const d = JSON.parse(fs.readFileSync(cellFile(cell), 'utf-8'));
+    return d.baseUrl === baseUrl && now - d.ts <= WEATHER_TTL_MS ? d.days : undefined;
+  } catch { return undefined; }
+}
+
+// Returns the write error, if any (see writeCacheFile)
+function writeForecast(cell, baseUrl, days) {
+  return writeCacheFile(cellFile(cell), { ts: Date.now(), baseUrl, days });
+}
+
+// ── Forecast ────────────────────────────────────────────────────────────
+
+// WMO weather code → icon
+function weatherIcon(code) {
+  if (code == null) return '🌡️';
+  if (code === 0) return '☀️';
+  if (code <= 2) return '🌤️';
+  if (code === 3) return '☁️';
+  if (code <= 48) return '🌫️';
+  if (code <= 67) return '🌧️';
+  if (code <= 77) return '🌨️';
+  if (code <= 82) return '🌦️';
+  if (code <= 86) return '🌨️';
+  return '⛈️';
+}
+
+const round = v => (typeof v === 'number' ? Math.round(v) : null);
+
+// Open-Meteo `daily` columns → { 'yyyy-MM-dd': { temperatureMax, … } }
+function parseDaily(daily = {}) {
+  const days = {};
+  (daily.time || []).forEach((day, i) => {
+    const code = daily.weather_code?.[i] ?? null;
+    days[day] = {
+      temperatureMax: round(daily.temperature_2m_max?.[i]),
+      temperatureMin: round(daily.temperature_2m_min?.[i]),
+      precipitationProbability: round(daily.precipitation_probability_max?.[i]),
+      windKmh: round(daily.wind_speed_10m_max?.[i]),
+      code,
+      icon: weatherIcon(code),
+    };
+  });
+  return days;
+}
+
+// Thunderstorms always count; missing values never do
+function isBad(w, settings) {
+  return w.code >= 95
+    || (w.precipitationProbability != null && w.precipitationProbability >= settings.rainProbability)
+    || (w.windKmh != null && w.windKmh >= settings.windKmh)
+    || (w.temperatureMax != null && settings.minTemperature != null && w.temperatureMax < settings.minTemperature);
+}
+
+async function fetchForecast(cell, settings) {
+  const [latitude, longitude] = cell.split(',');
+  const data = await fetchJson(settings.baseUrl, {
+    latitude,
+    longitude,
+    daily: DAILY.join(','),
+    timezone: 'Europe/Berlin',
+    forecast_days: FORECAST_DAYS,
+  });
+  return parseDaily(data.daily);
+}
+
+// "🌧️ 12° ☔ 70% 💨 35 km/h", with a warning sign for bad forecasts
+function weatherLabel(w) {
+  const parts = [w.icon];
+  if (w.temperatureMax != null) parts.push(`${w.temperatureMax}°`);
+  if (w.precipitationProbability != null) parts.push(`☔ ${w.precipitationProbability}%`);
+  if (w.windKmh != null) parts.push(`💨 ${w.windKmh} km/h`);
+  return (w.bad ? '⚠️ ' : '') + parts.join(' ');
+}
+
+// ── Pass ────────────────────────────────────────────────────────────────
+
+/**
+ * Adds `weather` to outdoor events within the forecast horizon. Events
+ * without coordinates use `center`. A failed location is logged and its
+ * events stay without forecast (never hidden by --hide-bad-weather).
+ * `mode`: cache mode as for providers ('on', 'refresh', 'off').
+ */
+async function addWeather(events, center, config = {}, { log = () => {}, mode = 'on', now = new Date() } = {}) {
+  const settings = weatherSettings(config);
+  const first = format(now, 'yyyy-MM-dd');
+  const last = format(new Date(now.getTime() + (FORECAST_DAYS - 1) * 86400000), 'yyyy-MM-dd');
+
+  // ~10 km grid, so nearby events share one request
+  const cellOf = e => {
+    const loc = locateEvent(e) || center;
+    return `${loc.lat.toFixed(1)},${loc.lon.toFixed(1)}`;
+  };
+  const wanted = events.filter(e => e.outdoor && e.date && e.date.slice(0, 10) >= first && e.date.slice(0, 10) <= last);
+  if (!wanted.length) return events;
+
+  const cells = [...new Set(wanted.map(cellOf))];
+  const forecasts = new Map();
+  let fromCache = 0;
+  let failed = 0;
+  let writeError = null;
+  await withRequestScope('weather', async () => {
+    for (const cell of cells) {
+      let days = mode === 'on' ? readForecast(cell, settings.baseUrl) : undefined;
+      if (days) fromCache++;
+      else {
+        try {
+          days = await fetchForecast(cell, settings);
+        } catch { failed++; }
+        if (days && mode !== 'off') writeError = writeForecast(cell, settings.baseUrl, days) || writeError;
+      }
+      if (days) forecasts.set(cell, days);
+    }
+  });
+
+  const req = formatRequestStats(takeRequestStats('weather'));
+  log(`  🌦️ Wetter: ${wanted.length} Outdoor-Events, ${cells.length} Orte (${fromCache} aus Cache${failed ? `, ${failed} fehlgeschlagen` : ''})${req}`);
+  if (writeError) log(`  ⚠️ Wetter-Cache nicht schreibbar: ${writeError.message}`);
+
+  const annotate = new Set(wanted);
+  return events.map(e => {
+    const day = annotate.has(e) && forecasts.get(cellOf(e))?.[e.date.slice(0, 10)];
+    if (!day) return e;
+    return { ...e, weather: { ...day, bad: isBad(day, settings) } };
+  });
+}
+
+module.exports = { WEATHER_DIR, weatherSettings, weatherIcon, parseDaily, weatherLabel, addWeather };
@@ -2,12 +2,20 @@
  * Deskline (feratel) Scraper via Puppeteer
  * Used by: marburg.de, wetzlar.de (and many other German tourism sites)
  * 
- * These sites load events via a Deskline widget in an iframe,
- * so we need a headless browser to render the JavaScript.
+ * These sites load events via a Deskline widget in an iframe. The widget
+ * never renders events into a DOM we can read reliably, so instead we let
+ * a headless browser run it and capture the JSON responses it fetches
+ * from the Deskline/feratel API. `mapDesklinePayloads` turns those into
+ * our event schema and works on recorded payloads without a browser.
  */
 
 const puppeteer = require('puppeteer-core');
-const { format } = require('date-fns');
+const { UA } = require('../lib/http');
+const { overlapsRange } = require('../lib/dates');
+
+const CHROMIUM_PATH = process.env.CHROMIUM_PATH || '/usr/bin/chromium-browser';
+// webclient4.deskline.net, dsi.deskline.net, *.feratel.com, …
+const API_HOSTS = /(^|\.)(deskline\.net|feratel\.(com|at|de))$/i;
 
 const CITIES = {
   marburg: {
@@ -22,146 +30,181 @@ const CITIES = {
   },
 };
 
-async function fetchDeskline(cityKey, dateRange, opts) {
-  const city = CITIES[cityKey];
-  if (!city) return { events: [], status: `error: unknown city ${cityKey}` };
+// ── Payload Mapping ─────────────────────────────────────────────────────
 
-  let browser;
-  try {
-    browser = await puppeteer.launch({
-      headless: 'new',
-      executablePath: '/usr/bin/chromium-browser',
-      args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage', '--disable-gpu'],
-      timeout: 30000,
-    });
+// Deskline field names differ between API versions (DSI: PascalCase,
+// webclient: camelCase), so every lookup tries both.
+function pick(obj, ...keys) {
+  for (const k of keys) {
+    const v = obj?.[k] ?? obj?.[k.charAt(0).toUpperCase() + k.slice(1)];
+    if (v !== undefined && v !== null && v !== '') return v;
+  }
+  return null;
+}
 
-    const page = await browser.newPage();
-    await page.setUserAgent('Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 Chrome/120.0.0.0 Safari/537.36');
-    
-    // Navigate and wait for Deskline widget to load
-    await page.goto(city.url, { waitUntil: 'networkidle2', timeout: 30000 });
-    
-    // Wait for the Deskline iframe to appear
-    await page.waitForSelector('iframe[src*="deskline"]', { timeout: 15000 }).catch(() => null);
-    
-    // Try to find events in the iframe
-    const frames = page.frames();
-    let events = [];
-    
-    for (const frame of frames) {
-      const url = frame.url();
-      if (!url.includes('deskline')) continue;
-      
-      // Wait for event content to render
-      await frame.waitForSelector('[class*="event"], [class*="Event"], .search-result, article, .list-item', { timeout: 10000 }).catch(() => null);
-      
-      // Extract events from the Deskline iframe
-      const extracted = await frame.evaluate(() => {
-        const events = [];
-        
-        // Try multiple selectors that Deskline uses
-        const selectors = [
-          '.event-item', '.search-result-item', '[class*="EventCard"]',
-          '[class*="event-card"]', 'article', '.list-item',
-          '[class*="resultItem"]', '[class*="result-item"]',
-          '.dw-result-item', '.dw-event',
-        ];
-        
-        let elements = [];
-        for (const sel of selectors) {
-          const found = document.querySelectorAll(sel);
-          if (found.length > elements.length) elements = [...found];
-        }
-        
-        // Also try to extract from any structured data
-        const jsonLd = document.querySelectorAll('script[type="application/ld+json"]');
-        for (const script of jsonLd) {
-          try {
-            const data = JSON.parse(script.textContent);
-            const items = Array.isArray(data) ? data : [data];
-            for (const item of items) {
-              if (item['@type'] === 'Event') {
-                events.push({
-                  name: item.name,
-                  date: item.startDate || null,
-                  venue: item.location?.name || null,
-                  address: item.location?.address?.streetAddress || null,
-                  url: item.url || null,
-                  description: (item.description || '').slice(0, 200),
-                });
-              }
-            }
-          } catch {}
-        }
-        
-        // Parse from DOM elements
-        for (const el of elements) {
-          const name = (el.querySelector('h2, h3, h4, [class*="title"], [class*="name"]') || {}).textContent?.trim();
-          if (!name || name.length < 3) continue;
-          
-          const dateEl = el.querySelector('time, [class*="date"], [class*="Date"]');
-          const date = dateEl?.getAttribute('datetime') || dateEl?.textContent?.trim() || null;
-          
-          const venueEl = el.querySelector('[class*="location"], [class*="venue"], [class*="Location"]');
-          const venue = venueEl?.textContent?.trim() || null;
-          
-          const linkEl = el.querySelector('a[href]');
-          const url = linkEl?.href || null;
-          
-          events.push({ name, date, venue, address: null, url, description: null });
-        }
-        
-        return events;
-      });
-      
-      events.push(...extracted);
-    }
-    
-    // If iframe approach didn't work, try the main page
-    if (events.length === 0) {
-      // Wait a bit more for dynamic content
-      await new Promise(r => setTimeout(r, 3000));
-      
-      const mainEvents = await page.evaluate(() => {
-        const events = [];
-        const items = document.querySelectorAll('[class*="event"], [class*="Event"], .search-result, article');
-        for (const el of items) {
-          const name = (el.querySelector('h2, h3, h4, [class*="title"]') || {}).textContent?.trim();
-          if (!name || name.length < 3) continue;
-          const dateEl = el.querySelector('time, [class*="date"]');
-          events.push({
-            name,
-            date: dateEl?.getAttribute('datetime') || dateEl?.textContent?.trim() || null,
-            venue: null,
-            address: null,
-            url: el.querySelector('a')?.href || null,
-            description: null,
-          });
-        }
-        return events;
-      });
-      events.push(...mainEvents);
-    }
+function text(v) {
+  if (v == null) return null;
+  if (typeof v === 'string') return v.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim() || null;
+  // Localized values: [{ language: 'de', value: '...' }] or { de: '...' }
+  if (Array.isArray(v)) {
+    const de = v.find(x => /^de/i.test(pick(x, 'language', 'lang') || '')) || v[0];
+    return text(pick(de, 'value', 'text', 'name') ?? de);
+  }
+  if (typeof v === 'object') return text(v.de ?? pick(v, 'value', 'text', 'name'));
+  return String(v);
+}
+
+function eventName(raw) {
+  return text(pick(raw, 'title', 'name', 'eventName')) || text(pick(pick(raw, 'details') || {}, 'names', 'name', 'title'));
+}
+
+function occurrences(raw) {
+  const list = pick(raw, 'dates', 'eventDates', 'occurrences', 'schedules');
+  if (Array.isArray(list) && list.length) return list;
+  return [raw];
+}
+
+// "2026-02-25T00:00:00" + "19:30" → "2026-02-25T19:30:00"
+function combineDate(date, time) {
+  if (!date || typeof date !== 'string') return null;
+  const day = date.slice(0, 10);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(day)) return null;
+  const t = typeof time === 'string' && time.match(/^(\d{1,2}):(\d{2})/);
+  if (t) return `${day}T${t[1].padStart(2, '0')}:${t[2]}:00`;
+  return date.length > 10 ? date.replace(/(\.\d+)?(Z|[+-]\d{2}:?\d{2})?$/, '').slice(0, 19) : `${day}T00:00:00`;
+}
+
+function looksLikeEvent(node) {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) return false;
+  if (!eventName(node)) return false;
+  return occurrences(node).some(o => pick(o, 'startDate', 'dateFrom', 'from', 'date', 'start'));
+}
 
-    // Normalize events
-    const normalized = events.map(e => ({
-      name: e.name,
-      date: e.date,
-      venue: e.venue,
-      address: e.address || city.name,
+function findEventNodes(node, out = []) {
+  if (Array.isArray(node)) {
+    for (const x of node) findEventNodes(x, out);
+  } else if (node && typeof node === 'object') {
+    if (looksLikeEvent(node)) out.push(node);
+    else for (const v of Object.values(node)) findEventNodes(v, out);
+  }
+  return out;
+}
+
+function mapDesklineEvent(raw, city) {
+  const name = eventName(raw);
+  const location = pick(raw, 'location', 'venue', 'eventLocation') || {};
+  const venue = typeof location === 'string' ? location : text(pick(location, 'name', 'title'));
+  const address = typeof location === 'object'
+    ? [text(pick(location, 'street', 'addressLine1')), text(pick(location, 'town', 'city', 'place'))].filter(Boolean).join(', ')
+    : null;
+  const categories = (pick(raw, 'categories', 'holidayThemes', 'eventCategories') || [])
+    .map(c => text(typeof c === 'object' ? pick(c, 'name', 'title') : c))
+    .filter(Boolean);
+  const url = pick(raw, 'url', 'link', 'detailUrl', 'webUrl');
+  const description = text(pick(raw, 'shortDescription', 'teaser', 'description'));
+
+  return occurrences(raw).map(o => {
+    const date = combineDate(pick(o, 'startDate', 'dateFrom', 'from', 'date', 'start'), pick(o, 'startTime', 'timeFrom'));
+    const endDate = combineDate(pick(o, 'endDate', 'dateTo', 'to', 'end'), null);
+    return {
+      id: pick(raw, 'id', 'eventId'),
+      name,
+      date,
+      endDate: endDate && endDate.slice(0, 10) !== date?.slice(0, 10) ? endDate : null,
+      venue: venue || null,
+      address: address || city.name,
       type: 'other',
-      url: e.url,
+      categories,
+      url: typeof url === 'string' ? url : null,
       price: null,
       source: city.source,
-      description: e.description,
-    }));
+      description: description ? description.slice(0, 200) : null,
+    };
+  }).filter(e => e.date);
+}
+
+function mapDesklinePayloads(payloads, city, dateRange) {
+  const seen = new Set();
+  const events = [];
 
-    return { events: normalized, status: `ok (${normalized.length} Events)` };
+  for (const payload of payloads) {
+    for (const raw of findEventNodes(payload)) {
+      for (const e of mapDesklineEvent(raw, city)) {
+        if (dateRange && !overlapsRange(e.date, e.endDate, dateRange)) continue;
+        const key = `${e.id || e.name}|${e.date}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        const { id, ...event } = e;
+        events.push(event);
+      }
+    }
+  }
+  return events;
+}
+
+// ── Browser ─────────────────────────────────────────────────────────────
+
+// Only JSON from the Deskline/feratel API, not the host page's own requests
+function isApiResponse(url) {
+  try {
+    return API_HOSTS.test(new URL(url).hostname);
+  } catch {
+    return false;
+  }
+}
+
+async function capturePayloads(url) {
+  const browser = await puppeteer.launch({
+    headless: 'new',
+    executablePath: CHROMIUM_PATH,
+    args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage', '--disable-gpu'],
+    timeout: 30000,
+  });
+
+  try {
+    const page = await browser.newPage();
+    await page.setUserAgent(UA);
+
+    const pending = [];
+    page.on('response', res => {
+      const type = res.headers()['content-type'] || '';
+      if (!isApiResponse(res.url()) || !type.includes('json')) return;
+      pending.push(res.json().catch(() => null));
+    });
+
+    await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
+    // The widget lazy-loads its event list after the iframe has booted
+    await page.waitForNetworkIdle({ idleTime: 1500, timeout: 15000 }).catch(() => null);
+
+    return (await Promise.all(pending)).filter(Boolean);
+  } finally {
+    await browser.close().catch(() => {});
+  }
+}
+
+async function fetchDeskline(cityKey, dateRange, opts) {
+  const city = CITIES[cityKey];
+  if (!city) return { events: [], status: `error: unknown city ${cityKey}` };
+
+  try {
+    const payloads = await capturePayloads(city.url);
+    if (!payloads.length) return { events: [], status: 'error: keine Deskline-API-Antworten' };
+
+    const events = mapDesklinePayloads(payloads, city, dateRange);
+    return { events, status: `ok (${events.length} Events)` };
   } catch (e) {
     return { events: [], status: `error: ${e.message}` };
-  } finally {
-    if (browser) await browser.close().catch(() => {});
   }
 }
 
-module.exports = { fetchDeskline, CITIES };
+const providers = Object.entries(CITIES).map(([key, city]) => ({
+  name: `${key}-deskline`,
+  label: `${city.name} (Deskline)`,
+  capabilities: ['browser'],
+  // Needs Chromium (the Docker image ships it); without it switch off via
+  // `providers.<name>.enabled: false`
+  enabledByDefault: true,
+  fetch: (dateRange, opts) => fetchDeskline(key, dateRange, opts),
+}));
+
+module.exports = { fetchDeskline, mapDesklinePayloads, isApiResponse, CITIES, providers };
@@ -0,0 +1,176 @@
+/**
+ * iCal- und RSS/Atom-Feeds (Clubs, Uni, Venues)
+ *
+ * Liest eine Liste von Feeds aus der Config, per URL oder als lokale Datei:
+ *
+ *   "feeds": {
+ *     "enabled": true,
+ *     "feeds": [
+ *       "https://example.org/events.ics",
+ *       { "url": "./feeds/club.xml", "source": "club-x", "venue": "Club X", "address": "Gießen" },
+ *       { "url": "https://example.org/rss", "pubDateIsEventDate": true }
+ *     ]
+ *   }
+ *
+ * iCal: RRULE/EXDATE/RECURRENCE-ID werden im angefragten Zeitraum aufgelöst
+ * (lib/ical.js). RSS/Atom: Termin aus ev:startdate, aus einem Datum in
+ * Titel/Text oder – mit `pubDateIsEventDate` – aus dem Veröffentlichungsdatum.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const { fetchHtml, mapLimit } = require('../lib/http');
+const { parseDateRangeDE, toBerlinIso, overlapsRange } = require('../lib/dates');
+const { icalToEvents } = require('../lib/ical');
+
+const CONCURRENCY = 3;
+
+function normalizeEntry(entry) {
+  return typeof entry === 'string' ? { url: entry } : entry;
+}
+
+const isRemote = url => /^https?:\/\//i.test(url);
+
+async function loadFeed(url) {
+  if (isRemote(url)) return String(await fetchHtml(url));
+  return fs.readFileSync(path.resolve(url.replace(/^file:\/\//, '')), 'utf-8');
+}
+
+function sourceName(entry) {
+  if (entry.source) return entry.source;
+  if (isRemote(entry.url)) return new URL(entry.url).hostname.replace(/^www\./, '');
+  return path.basename(entry.url).replace(/\.[^.]+$/, '');
+}
+
+function detectFormat(entry, body) {
+  if (entry.format) return entry.format;
+  return /^\s*BEGIN:VCALENDAR/i.test(body) ? 'ical' : 'rss';
+}
+
+// ── iCal ────────────────────────────────────────────────────────────────
+
+// "Stadtpark Wieseck, Gießen" → venue "Stadtpark Wieseck", address "Gießen"
+function splitLocation(location) {
+  if (!location) return { venue: null, address: null };
+  const parts = location.split(',').map(s => s.trim()).filter(Boolean);
+  return { venue: parts[0] || null, address: parts.length > 1 ? parts.slice(1).join(', ') : null };
+}
+
+function mapIcal(body, entry, dateRange) {
+  return icalToEvents(body, dateRange)
+    .filter(e => e.name)
+    .map(e => {
+      const { venue, address } = splitLocation(e.location);
+      return {
+        name: e.name,
+        date: e.date,
+        endDate: e.endDate,
+        allDay: e.allDay,
+        recurrence: e.recurrence,
+        venue: venue || entry.venue || null,
+        address: address || entry.address || null,
+        type: 'other',
+        url: e.url || (isRemote(entry.url) ? entry.url : null),
+        price: null,
+        source: sourceName(entry),
+        description: e.description ? e.description.replace(/\s+/g, ' ').slice(0, 200) : null,
+        categories: e.categories,
+        status: e.status === 'CANCELLED' ? 'cancelled' : null,
+      };
+    });
+}
+
+// ── RSS / Atom ──────────────────────────────────────────────────────────
+
+const stripHtml = html => (html ? cheerio.load(`<div>${html}</div>`)('div').text().replace(/\s+/g, ' ').trim() : '');
+
+function itemDates(entry, $item, title, description) {
+  const evStart = $item.find('ev\\:startdate').first().text().trim();
+  if (evStart) {
+    return { start: toBerlinIso(evStart), end: toBerlinIso($item.find('ev\\:enddate').first().text().trim()) };
+  }
+  if (entry.pubDateIsEventDate) {
+    const pub = $item.find('pubDate, published, updated, dc\\:date').first().text().trim();
+    const d = pub ? new Date(pub) : null;
+    if (d && !isNaN(d)) return { start: toBerlinIso(d.toISOString()), end: null };
+  }
+  // Only explicit dates ("24.10.2026", "24. Oktober"), not any number in the text
+  for (const text of [title, description]) {
+    if (/\d{1,2}\.\d{1,2}\.(\d{4})?|\d{1,2}\.\s+[A-Za-zÄä]{3,}/.test(text)) {
+      const range = parseDateRangeDE(text);
+      if (range) return range;
+    }
+  }
+  return null;
+}
+
+function mapRss(body, entry, dateRange) {
+  const $ = cheerio.load(body, { xmlMode: true });
+  const events = [];
+  $('item, entry').each((_, el) => {
+    const $item = $(el);
+    const title = stripHtml($item.children('title').first().text());
+    const description = stripHtml($item.find('description, summary, content\\:encoded, content').first().text());
+    if (!title) return;
+
+    const range = itemDates(entry, $item, title, description);
+    if (!range || !range.start) return;
+    if (!overlapsRange(range.start, range.end, dateRange)) return;
+
+    const $link = $item.children('link').first();
+    const link = ($link.attr('href') || $link.text()).trim();
+    const { venue, address } = splitLocation($item.find('ev\\:location').first().text().trim());
+    events.push({
+      name: title,
+      date: range.start,
+      endDate: range.end || null,
+      venue: venue || entry.venue || null,
+      address: address || entry.address || null,
+      type: 'other',
+      url: link || (isRemote(entry.url) ? entry.url : null),
+      price: null,
+      source: sourceName(entry),
+      description: description.slice(0, 200) || null,
+      categories: $item.children('category').map((_, c) => $(c).attr('term') || $(c).text().trim()).get().filter(Boolean),
+    });
+  });
+  return events;
+}
+
+// ── Provider ────────────────────────────────────────────────────────────
+
+// Feed body → events; no network, so feeds can be checked from files
+function parseFeed(body, entry, dateRange) {
+  return detectFormat(entry, body) === 'ical' ? mapIcal(body, entry, dateRange) : mapRss(body, entry, dateRange);
+}
+
+async function fetchFeeds(dateRange, opts, providerConfig = {}) {
+  const entries = (providerConfig.feeds || []).map(normalizeEntry).filter(e => e && e.url);
+  if (!entries.length) return { events: [], status: 'ok (keine Feeds konfiguriert)' };
+
+  const failed = [];
+  const results = await mapLimit(entries, providerConfig.concurrency || CONCURRENCY, async entry => {
+    try {
+      return parseFeed(await loadFeed(entry.url), entry, dateRange);
+    } catch (e) {
+      failed.push(`${entry.url}: ${e.message}`);
+      return [];
+    }
+  });
+
+  const events = results.flat();
+  if (failed.length === entries.length) return { events, status: `error: ${failed[0]}` };
+  const note = failed.length ? `, ${failed.length}/${entries.length} Feeds fehlgeschlagen` : '';
+  return { events, status: `ok (${events.length} Events aus ${entries.length} Feeds${note})` };
+}
+
+module.exports = {
+  name: 'feeds',
+  label: 'iCal/RSS-Feeds',
+  capabilities: ['api'],
+  enabledByDefault: false,
+  fetch: fetchFeeds,
+  fetchFeeds,
+  parseFeed,
+};
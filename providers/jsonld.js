@@ -0,0 +1,89 @@
+/**
+ * Generischer schema.org-Scraper (JSON-LD + Microdata)
+ *
+ * Viele Veranstalter (Theater, Clubs, Uni) veröffentlichen ihre Termine
+ * als `@type: Event`. Dieser Provider liest eine Liste von Seiten aus der
+ * Config, eine neue Venue ist damit nur ein Config-Eintrag:
+ *
+ *   "jsonld": {
+ *     "enabled": true,
+ *     "urls": [
+ *       "https://www.stadttheater-giessen.de/spielplan/",
+ *       { "url": "https://example.org/events", "venue": "Club X", "address": "Gießen", "source": "club-x" }
+ *     ]
+ *   }
+ *
+ * `venue`/`address` gelten als Fallback, wenn die Seite keinen Ort angibt.
+ */
+
+const cheerio = require('cheerio');
+const { fetchHtml, mapLimit } = require('../lib/http');
+const { overlapsRange } = require('../lib/dates');
+const { extractJsonLdEvents, extractMicrodataEvents, normalizeJsonLdEvent } = require('../lib/jsonld');
+
+const CONCURRENCY = 3;
+
+function normalizeEntry(entry) {
+  return typeof entry === 'string' ? { url: entry } : entry;
+}
+
+function resolveUrl(href, base) {
+  try { return new URL(href, base).href; } catch { return base; }
+}
+
+// Page HTML → events in our schema (independent of the network, for fixtures)
+function parseJsonLdPage(html, entry, dateRange) {
+  const $ = cheerio.load(html);
+  const source = entry.source || new URL(entry.url).hostname.replace(/^www\./, '');
+  const seen = new Set();
+  const events = [];
+
+  for (const item of [...extractJsonLdEvents($), ...extractMicrodataEvents($)]) {
+    const e = normalizeJsonLdEvent(item);
+    if (!e.name || !e.date) continue;
+    if (!overlapsRange(e.date, e.endDate, dateRange)) continue;
+    // Pages often carry the same event as JSON-LD and microdata
+    const key = `${e.name}|${e.date}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    events.push({
+      ...e,
+      venue: e.venue || entry.venue || null,
+      address: e.address || entry.address || null,
+      url: e.url ? resolveUrl(e.url, entry.url) : entry.url,
+      source,
+    });
+  }
+  return events;
+}
+
+async function fetchJsonLd(dateRange, opts, providerConfig = {}) {
+  const entries = (providerConfig.urls || []).map(normalizeEntry).filter(e => e && e.url);
+  if (!entries.length) return { events: [], status: 'ok (keine URLs konfiguriert)' };
+
+  const failed = [];
+  const results = await mapLimit(entries, providerConfig.concurrency || CONCURRENCY, async entry => {
+    try {
+      return parseJsonLdPage(await fetchHtml(entry.url), entry, dateRange);
+    } catch (e) {
+      failed.push(`${entry.url}: ${e.message}`);
+      return [];
+    }
+  });
+
+  const events = results.flat();
+  if (failed.length === entries.length) return { events, status: `error: ${failed[0]}` };
+  const note = failed.length ? `, ${failed.length}/${entries.length} Seiten fehlgeschlagen` : '';
+  return { events, status: `ok (${events.length} Events aus ${entries.length} Seiten${note})` };
+}
+
+module.exports = {
+  name: 'jsonld',
+  label: 'schema.org (JSON-LD)',
+  capabilities: ['scrape'],
+  enabledByDefault: false,
+  fetch: fetchJsonLd,
+  fetchJsonLd,
+  parseJsonLdPage,
+};
@@ -0,0 +1,20 @@
+/**
+ * Kommunale Veranstaltungskalender als deklarative Site-Adapter
+ *
+ * Jede Datei in providers/sites/ beschreibt eine Stadt-Seite (Format siehe
+ * lib/sites.js). Weitere Städte (Lich, Butzbach, Friedberg, …) lassen sich
+ * ohne Code über `sites` in config.json ergänzen.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { siteProvider } = require('../lib/sites');
+
+const SITES_DIR = path.join(__dirname, 'sites');
+
+const providers = fs.readdirSync(SITES_DIR)
+  .filter(f => f.endsWith('.json'))
+  .sort()
+  .map(f => siteProvider(JSON.parse(fs.readFileSync(path.join(SITES_DIR, f), 'utf-8'))));
+
+module.exports = { providers };
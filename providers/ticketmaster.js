@@ -0,0 +1,142 @@
+/**
+ * Ticketmaster Discovery API
+ * Konzerte, Shows, Sport im Umkreis (API Key: TICKETMASTER_API_KEY)
+ *
+ * Blättert über `page.totalPages` bis `maxPages` (Config, Default 5).
+ * Zeiten kommen als lokale Venue-Zeit (`localDate`/`localTime`), das
+ * Abfragefenster geht als echtes UTC raus.
+ */
+
+const { fetchJson } = require('../lib/http');
+const { toBerlinIso } = require('../lib/dates');
+const { fromTicketmaster } = require('../lib/classify');
+
+const API_URL = 'https://app.ticketmaster.com/discovery/v2/events.json';
+const PAGE_SIZE = 100;
+const MAX_PAGES = 5;
+// Discovery API rejects deep paging beyond size * page >= 1000
+const MAX_ITEMS = 1000;
+
+const STATUS = { canceled: 'cancelled', cancelled: 'cancelled', postponed: 'postponed', rescheduled: 'rescheduled' };
+
+// "2026-10-19T22:00:00Z" without milliseconds, as the API expects
+function utcParam(date) {
+  return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+// "TBA" times come as 00:00 or arbitrary placeholders; only the day is known
+function localStart(start = {}) {
+  const tba = start.timeTBA || start.noSpecificTime;
+  if (start.localDate && start.localTime && !tba) return `${start.localDate}T${start.localTime.slice(0, 8)}`;
+  if (start.dateTime && !tba) return toBerlinIso(start.dateTime);
+  return start.localDate ? `${start.localDate}T00:00:00` : null;
+}
+
+const useful = name => name && name !== 'Undefined';
+
+function formatAmount(n) {
+  return Number.isInteger(n) ? String(n) : n.toFixed(2).replace('.', ',');
+}
+
+// [{ min, max, currency }] → { priceMin, priceMax, currency, price: "25–60€" }
+function priceInfo(ranges) {
+  const list = (ranges || []).filter(r => typeof r.min === 'number' || typeof r.max === 'number');
+  if (!list.length) return { priceMin: null, priceMax: null, currency: null, price: null };
+  const priceMin = Math.min(...list.map(r => r.min ?? r.max));
+  const priceMax = Math.max(...list.map(r => r.max ?? r.min));
+  const currency = list[0].currency || 'EUR';
+  const amount = priceMin === priceMax ? formatAmount(priceMin) : `${formatAmount(priceMin)}–${formatAmount(priceMax)}`;
+  return { priceMin, priceMax, currency, price: currency === 'EUR' ? `${amount}€` : `${amount} ${currency}` };
+}
+
+// Largest 16:9 image that is not a generic fallback
+function bestImage(images) {
+  const list = (images || []).filter(i => i.url);
+  const tiers = [list.filter(i => !i.fallback && i.ratio === '16_9'), list.filter(i => !i.fallback), list];
+  const pick = tiers.find(t => t.length) || [];
+  return pick.sort((a, b) => (b.width || 0) - (a.width || 0))[0]?.url || null;
+}
+
+function salesStatus(e, now = Date.now()) {
+  const code = e.dates?.status?.code;
+  if (code === 'onsale' || code === 'offsale') return code;
+  const { startDateTime, endDateTime } = e.sales?.public || {};
+  if (startDateTime && now < Date.parse(startDateTime)) return 'offsale';
+  if (endDateTime && now > Date.parse(endDateTime)) return 'offsale';
+  return startDateTime ? 'onsale' : null;
+}
+
+// One Discovery API event → our schema (no network, for recorded fixtures)
+function mapTicketmasterEvent(e) {
+  const v = e._embedded?.venues?.[0];
+  const c = e.classifications?.find(x => x.primary) || e.classifications?.[0];
+  const genre = useful(c?.genre?.name) ? c.genre.name : null;
+  const subGenre = useful(c?.subGenre?.name) ? c.subGenre.name : null;
+  const endDate = e.dates?.end ? localStart(e.dates.end) : null;
+  return {
+    name: e.name,
+    date: localStart(e.dates?.start),
+    endDate,
+    venue: v?.name || null,
+    address: [v?.address?.line1, [v?.postalCode, v?.city?.name].filter(Boolean).join(' ')].filter(Boolean).join(', '),
+    type: fromTicketmaster(c),
+    genre,
+    subGenre,
+    categories: [c?.segment?.name, genre, subGenre].filter(useful),
+    url: e.url,
+    ...priceInfo(e.priceRanges),
+    image: bestImage(e.images),
+    status: STATUS[e.dates?.status?.code] || 'scheduled',
+    salesStatus: salesStatus(e),
+    source: 'ticketmaster',
+    description: (e.info || e.pleaseNote || '').slice(0, 200) || null,
+    lat: v?.location ? parseFloat(v.location.latitude) : undefined,
+    lon: v?.location ? parseFloat(v.location.longitude) : undefined,
+  };
+}
+
+async function fetchTicketmaster(dateRange, opts, providerConfig = {}) {
+  const apiKey = providerConfig.apiKey || process.env.TICKETMASTER_API_KEY;
+  if (!apiKey) return { events: [], status: 'skip (kein API Key)' };
+
+  const size = Math.min(providerConfig.pageSize || PAGE_SIZE, 200);
+  const maxPages = Math.min(providerConfig.maxPages || MAX_PAGES, Math.floor(MAX_ITEMS / size));
+
+  try {
+    const events = [];
+    let total = 0;
+    let totalPages = 1;
+    for (let page = 0; page < Math.min(totalPages, maxPages); page++) {
+      const data = await fetchJson(API_URL, {
+        apikey: apiKey,
+        latlong: `${opts.geo.lat},${opts.geo.lon}`,
+        radius: opts.radius,
+        unit: 'km',
+        startDateTime: utcParam(dateRange.start),
+        endDateTime: utcParam(dateRange.end),
+        size,
+        page,
+        sort: 'date,asc',
+        locale: 'de',
+      });
+      totalPages = data.page?.totalPages ?? 0;
+      total = data.page?.totalElements ?? 0;
+      events.push(...(data._embedded?.events || []).map(mapTicketmasterEvent));
+    }
+
+    const capped = totalPages > maxPages ? `, Seitenlimit ${maxPages} von ${totalPages}` : '';
+    return { events, status: `ok (${events.length}${capped ? ` von ${total}` : ''} Events${capped})` };
+  } catch (e) {
+    return { events: [], status: `error: ${e.message}` };
+  }
+}
+
+module.exports = {
+  name: 'ticketmaster',
+  label: 'Ticketmaster',
+  capabilities: ['api', 'geo', 'price'],
+  enabledByDefault: true,
+  fetch: fetchTicketmaster,
+  fetchTicketmaster,
+  mapTicketmasterEvent,
+};
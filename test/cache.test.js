@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { providerCacheKey } = require('../lib/cache');
+const { siteProvider } = require('../lib/sites');
+
+const opts = { geo: { lat: 50.58, lon: 8.67 }, radius: 30 };
+const dateRange = { start: new Date('2026-10-19T00:00:00'), end: new Date('2026-10-25T23:59:59') };
+const feeds = { name: 'feeds' };
+
+test('provider config changes the cache key', () => {
+  const a = providerCacheKey(feeds, opts, dateRange, { feeds: ['https://a.example/cal.ics'] });
+  const b = providerCacheKey(feeds, opts, dateRange, { feeds: ['https://b.example/cal.ics'] });
+  assert.notStrictEqual(a, b);
+  assert.strictEqual(a, providerCacheKey(feeds, opts, dateRange, { feeds: ['https://a.example/cal.ics'] }));
+});
+
+test('enabled and cacheTtlMinutes do not change the cache key', () => {
+  assert.strictEqual(
+    providerCacheKey(feeds, opts, dateRange, {}),
+    providerCacheKey(feeds, opts, dateRange, { enabled: true, cacheTtlMinutes: 5 }),
+  );
+});
+
+test('site adapter definitions are part of the key', () => {
+  const def = {
+    name: 'lich', base: 'https://www.lich.de', urls: ['/veranstaltungen/'], item: 'ul li',
+    link: 'a', nameFrom: 'text', dateFormat: 'dmy',
+  };
+  const key = d => providerCacheKey(siteProvider(d, 'lich'), opts, dateRange);
+  assert.notStrictEqual(key(def), key({ ...def, urls: ['/kalender/'] }));
+  assert.notStrictEqual(key(def), key({ ...def, item: '.event' }));
+});
@@ -0,0 +1,84 @@
+process.env.TZ = 'Europe/Berlin';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { getDateRange, overlapsRange, parseDateRangeDE, toBerlinIso, withBerlinOffset } = require('../lib/dates');
+
+// Monday
+const now = new Date('2026-10-19T10:00:00');
+const range = s => {
+  const r = getDateRange(s, { now });
+  return [r.start.toISOString(), r.end.toISOString()];
+};
+
+test('weekend starts Friday 18:00, on the weekend itself today', () => {
+  assert.deepStrictEqual(range('Wochenende'), ['2026-10-23T16:00:00.000Z', '2026-10-25T22:59:59.999Z']);
+  assert.deepStrictEqual(range('next weekend'), range('wochenende'));
+  const saturday = getDateRange('wochenende', { now: new Date('2026-10-24T15:00:00') });
+  assert.strictEqual(saturday.start.toISOString(), '2026-10-23T22:00:00.000Z');
+  const running = getDateRange('nächstes Wochenende', { now: new Date('2026-10-24T15:00:00') });
+  assert.strictEqual(running.start.toISOString(), '2026-10-30T17:00:00.000Z');
+});
+
+test('untimed Friday events overlap the weekend, timed afternoon ones do not', () => {
+  const weekend = getDateRange('wochenende', { now });
+  assert.strictEqual(overlapsRange('2026-10-23T00:00:00', null, weekend), true);
+  assert.strictEqual(overlapsRange('2026-10-23', null, weekend), true);
+  assert.strictEqual(overlapsRange('2026-10-23T19:30:00', null, weekend), true);
+  assert.strictEqual(overlapsRange('2026-10-23T15:00:00', null, weekend), false);
+  assert.strictEqual(overlapsRange('2026-10-20T00:00:00', '2026-10-23T00:00:00', weekend), true);
+  assert.strictEqual(overlapsRange('2026-10-22T00:00:00', null, weekend), false);
+  assert.strictEqual(overlapsRange('2026-10-26T00:00:00', null, weekend), false);
+});
+
+test('reads month names with and without umlauts', () => {
+  const march = ['2027-02-28T23:00:00.000Z', '2027-03-31T21:59:59.999Z'];
+  assert.deepStrictEqual(range('März'), march);
+  assert.deepStrictEqual(range('maerz'), march);
+  assert.deepStrictEqual(range('März 2027'), march);
+  assert.deepStrictEqual(range('November'), ['2026-10-31T23:00:00.000Z', '2026-11-30T22:59:59.999Z']);
+});
+
+test('reads relative days, weeks and counts', () => {
+  assert.deepStrictEqual(range('morgen'), ['2026-10-19T22:00:00.000Z', '2026-10-20T21:59:59.999Z']);
+  assert.deepStrictEqual(range('übermorgen'), range('uebermorgen'));
+  assert.deepStrictEqual(range('nächste Woche'), ['2026-10-25T23:00:00.000Z', '2026-11-01T22:59:59.999Z']);
+  assert.deepStrictEqual(range('+14d'), range('nächste 14 Tage'));
+  assert.deepStrictEqual(range('KW 44'), range('nächste Woche'));
+  assert.deepStrictEqual(range('Freitag bis Sonntag'), ['2026-10-22T22:00:00.000Z', '2026-10-25T22:59:59.999Z']);
+  assert.deepStrictEqual(range('Fr-So'), range('Freitag bis Sonntag'));
+});
+
+test('"ab" opens the range instead of taking one day', () => {
+  const [start, end] = range('ab morgen');
+  assert.strictEqual(start, '2026-10-19T22:00:00.000Z');
+  assert.ok(end > '2027-10-01');
+  assert.deepStrictEqual(range('from tomorrow'), range('ab morgen'));
+  // An explicit end still wins
+  assert.deepStrictEqual(range('ab Freitag bis Sonntag'), range('Freitag bis Sonntag'));
+  assert.deepStrictEqual(range('am 24.10.'), ['2026-10-23T22:00:00.000Z', '2026-10-24T21:59:59.999Z']);
+});
+
+test('rejects unknown and reversed ranges in German', () => {
+  assert.throws(() => getDateRange('irgendwann', { now }), /Unbekannter Zeitraum "irgendwann"/);
+  assert.throws(() => getDateRange('2026-10-24:2026-10-20', { now }), /endet vor seinem Beginn/);
+  assert.throws(() => getDateRange('KW 60', { now }), /Unbekannter Zeitraum/);
+});
+
+test('uses the configured default window', () => {
+  const r = getDateRange(null, { defaultDate: '+14d', now });
+  assert.deepStrictEqual([r.start.toISOString(), r.end.toISOString()], range('+14d'));
+});
+
+test('parses German date ranges from scraped text', () => {
+  assert.deepStrictEqual(parseDateRangeDE('24.02. - 26.02.2026'), { start: '2026-02-24T00:00:00', end: '2026-02-26T00:00:00' });
+  assert.deepStrictEqual(parseDateRangeDE('11. bis 13. April 2026'), { start: '2026-04-11T00:00:00', end: '2026-04-13T00:00:00' });
+  assert.deepStrictEqual(parseDateRangeDE('Sa, 15.02.2026 20:00'), { start: '2026-02-15T20:00:00', end: null });
+});
+
+test('converts to Berlin wall clock and back to an offset', () => {
+  assert.strictEqual(toBerlinIso('2026-02-25T18:00:00Z'), '2026-02-25T19:00:00');
+  assert.strictEqual(toBerlinIso('2026-07-01'), '2026-07-01T00:00:00');
+  assert.strictEqual(withBerlinOffset('2026-10-24T20:00:00'), '2026-10-24T20:00:00+02:00');
+  assert.strictEqual(withBerlinOffset('2026-11-24T20:00:00'), '2026-11-24T20:00:00+01:00');
+});
@@ -0,0 +1,69 @@
+process.env.TZ = 'Europe/Berlin';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { similarity, sameEvent, dedup, eventId } = require('../lib/dedup');
+
+test('similar titles across platforms score above the merge threshold', () => {
+  assert.ok(similarity('Max Mustermann – Live 2026', 'Max Mustermann live 2026') >= 0.8);
+  assert.ok(similarity('Giant Rooks: Tour 2026', 'GIANT ROOKS - Tour 2026') >= 0.8);
+  assert.ok(similarity('Jazz im Park', 'Jazz im Park: Quartett Süd') >= 0.8);
+  assert.ok(similarity('Weihnachtsmarkt', 'Flohmarkt') < 0.8);
+  assert.strictEqual(similarity('', 'Jazz'), 0);
+});
+
+test('time and venue must not contradict each other', () => {
+  const a = { name: 'Giant Rooks', date: '2026-10-24T20:00:00', venue: 'Hessenhallen Gießen' };
+  assert.ok(sameEvent(a, { name: 'Giant Rooks', date: '2026-10-24T20:30:00', venue: 'Hessenhallen' }));
+  // Untimed listings match any time that day
+  assert.ok(sameEvent(a, { name: 'Giant Rooks', date: '2026-10-24T00:00:00' }));
+  assert.ok(!sameEvent(a, { name: 'Giant Rooks', date: '2026-10-24T23:00:00' }));
+  assert.ok(!sameEvent(a, { name: 'Giant Rooks', date: '2026-10-24T20:00:00', venue: 'Stadthalle Wetzlar' }));
+});
+
+test('merges across sources, keeping every source record and the best fields', () => {
+  const events = dedup([
+    { name: 'giant rooks tour 2026', date: '2026-10-24T00:00:00', venue: 'Hessenhallen', address: 'Gießen', type: 'other', url: 'https://www.giessen.de/x', source: 'giessen.de', provider: 'giessen', description: 'Indie-Pop aus Hamm' },
+    { name: 'Giant Rooks - Tour 2026', date: '2026-10-24T20:00:00', venue: 'Hessenhallen Gießen', type: 'music', url: 'https://ticketmaster.de/e/1', source: 'ticketmaster', provider: 'ticketmaster', price: '25–59,90€', priceMin: 25, priceMax: 59.9, currency: 'EUR', free: false, status: 'scheduled' },
+    { name: 'Giant Rooks', date: '2026-10-25T20:00:00', source: 'ticketmaster' },
+  ]);
+  assert.strictEqual(events.length, 2);
+  const [merged, nextDay] = events;
+  assert.strictEqual(merged.name, 'Giant Rooks - Tour 2026');
+  assert.strictEqual(merged.date, '2026-10-24T20:00:00');
+  assert.strictEqual(merged.source, 'ticketmaster');
+  assert.strictEqual(merged.type, 'music');
+  assert.strictEqual(merged.address, 'Gießen');
+  assert.strictEqual(merged.description, 'Indie-Pop aus Hamm');
+  assert.deepStrictEqual([merged.price, merged.priceMin, merged.currency], ['25–59,90€', 25, 'EUR']);
+  assert.deepStrictEqual(merged.sources.map(s => [s.source, s.provider, s.url]), [
+    ['ticketmaster', 'ticketmaster', 'https://ticketmaster.de/e/1'],
+    ['giessen.de', 'giessen', 'https://www.giessen.de/x'],
+  ]);
+  assert.strictEqual(nextDay.date, '2026-10-25T20:00:00');
+});
+
+test('a cancellation from any source survives the merge', () => {
+  const [e] = dedup([
+    { name: 'Comedy Night', date: '2026-10-24T20:00:00', source: 'ticketmaster', status: 'scheduled' },
+    { name: 'Comedy Night', date: '2026-10-24T20:00:00', source: 'giessen.de', status: 'cancelled' },
+  ]);
+  assert.strictEqual(e.status, 'cancelled');
+});
+
+test('undated events only merge on an exact name, dated ones sort first', () => {
+  const events = dedup([
+    { name: 'Stadtführung', date: null, source: 'giessen.de' },
+    { name: 'Stadtführung', date: null, source: 'marburg.de' },
+    { name: 'Stadtführungen', date: null, source: 'wetzlar.de' },
+    { name: 'Konzert', date: '2026-10-24T20:00:00', source: 'giessen.de' },
+  ]);
+  assert.deepStrictEqual(events.map(e => [e.name, e.sources.length]), [['Konzert', 1], ['Stadtführung', 2], ['Stadtführungen', 1]]);
+});
+
+test('ids depend on name and day only', () => {
+  const id = eventId({ name: 'Jazz im Park', date: '2026-10-24T20:00:00' });
+  assert.strictEqual(id, eventId({ name: 'Jazz im Park!', date: '2026-10-24T19:00:00', source: 'other' }));
+  assert.notStrictEqual(id, eventId({ name: 'Jazz im Park', date: '2026-10-25T20:00:00' }));
+  assert.match(id, /^[0-9a-f]{20}$/);
+});
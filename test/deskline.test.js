@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { mapDesklinePayloads, isApiResponse, CITIES } = require('../providers/deskline');
+
+const webclient = require('./fixtures/deskline/webclient-events.json');
+const dsi = require('./fixtures/deskline/dsi-events.json');
+
+const range = { start: new Date('2026-10-19T00:00:00'), end: new Date('2026-11-30T23:59:59') };
+
+test('maps camelCase webclient payloads, one event per date', () => {
+  const events = mapDesklinePayloads([webclient], CITIES.marburg, range);
+  assert.deepStrictEqual(events.map(e => [e.name, e.date]), [
+    ['Orgelkonzert in der Elisabethkirche', '2026-10-24T19:30:00'],
+    ['Orgelkonzert in der Elisabethkirche', '2026-11-07T19:30:00'],
+    ['Weihnachtsmarkt', '2026-11-20T00:00:00'],
+  ]);
+  const [concert] = events;
+  assert.strictEqual(concert.venue, 'Elisabethkirche');
+  assert.strictEqual(concert.address, 'Elisabethstraße 3, Marburg');
+  assert.deepStrictEqual(concert.categories, ['Konzert', 'Kirche']);
+  assert.strictEqual(concert.description, 'Werke von Bach und Reger');
+  assert.strictEqual(concert.endDate, null);
+  assert.strictEqual(concert.source, 'marburg.de');
+  assert.ok(!('id' in concert));
+});
+
+test('keeps multi-day ranges and falls back to the city as address', () => {
+  const market = mapDesklinePayloads([webclient], CITIES.marburg, range).find(e => e.name === 'Weihnachtsmarkt');
+  assert.strictEqual(market.endDate, '2026-12-23T00:00:00');
+  assert.strictEqual(market.venue, 'Marktplatz');
+  assert.strictEqual(market.address, 'Marburg');
+});
+
+test('maps PascalCase DSI payloads and drops duplicates', () => {
+  const events = mapDesklinePayloads([dsi, dsi], CITIES.wetzlar, range);
+  assert.strictEqual(events.length, 1);
+  assert.deepStrictEqual(events[0], {
+    name: 'Altstadtführung',
+    date: '2026-10-24T14:00:00',
+    endDate: null,
+    venue: 'Dom Wetzlar',
+    address: 'Domplatz 8, Wetzlar',
+    type: 'other',
+    categories: ['Stadtführung'],
+    url: null,
+    price: null,
+    source: 'wetzlar.de',
+    description: 'Rundgang durch die Altstadt',
+  });
+});
+
+test('drops events outside the date range', () => {
+  const events = mapDesklinePayloads([webclient], CITIES.marburg, { start: new Date('2026-11-01'), end: new Date('2026-11-10') });
+  assert.deepStrictEqual(events.map(e => e.date), ['2026-11-07T19:30:00']);
+});
+
+test('only captures responses from Deskline/feratel API hosts', () => {
+  assert.ok(isApiResponse('https://webclient4.deskline.net/api/events?x=1'));
+  assert.ok(isApiResponse('https://dsi.deskline.net/DSI/BasicData.asmx'));
+  assert.ok(isApiResponse('https://api.feratel.com/events'));
+  assert.ok(!isApiResponse('https://www.marburg.de/webclient/config.json'));
+  assert.ok(!isApiResponse('https://tracker.example.com/?ref=deskline.net'));
+  assert.ok(!isApiResponse('https://deskline.net.evil.com/events'));
+  assert.ok(!isApiResponse('not a url'));
+});
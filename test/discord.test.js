@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { LIMITS, buildDiscordMessages, sendDiscord } = require('../lib/discord');
+
+const range = { start: new Date('2026-10-19T00:00:00'), end: new Date('2026-10-25T23:59:59') };
+
+// Local webhook stub: `respond(body, n)` → [status, json, headers]
+async function withWebhook(respond, fn) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', c => { raw += c; });
+    req.on('end', () => {
+      received.push({ at: Date.now(), url: req.url, body: JSON.parse(raw) });
+      const [status, json, headers = {}] = respond(received.length);
+      res.writeHead(status, { 'content-type': 'application/json', ...headers });
+      res.end(JSON.stringify(json));
+    });
+  });
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  try {
+    return await fn(`http://127.0.0.1:${server.address().port}/api/webhooks/1/token`, received);
+  } finally {
+    server.close();
+  }
+}
+
+function manyEvents(n, nameLength = 200) {
+  return Array.from({ length: n }, (_, i) => ({
+    name: `Event ${i} ${'x'.repeat(nameLength)}`,
+    date: `2026-10-${String(19 + (i % 7)).padStart(2, '0')}T${String(10 + (i % 12)).padStart(2, '0')}:00:00`,
+    venue: `Venue ${'v'.repeat(300)}`,
+    url: `https://example.com/${i}`,
+    source: 'test',
+  }));
+}
+
+// Discord counts embed text only; `content` has its own 2000 limit
+const messageChars = m => m.embeds.reduce((n, e) => n + e.title.length + e.fields.reduce((k, f) => k + f.name.length + f.value.length, 0), 0);
+
+test('splits large digests into messages within the 2000/6000-character and embed limits', async () => {
+  const events = manyEvents(200);
+  const messages = buildDiscordMessages(events, range, { city: 'G'.repeat(3000) });
+  assert.ok(messages.length > 1);
+  for (const m of messages) {
+    assert.ok(!m.content || m.content.length <= LIMITS.content);
+    assert.ok(m.embeds.length <= LIMITS.embedsPerMessage);
+    assert.ok(messageChars(m) <= LIMITS.charsPerMessage, `message has ${messageChars(m)} chars`);
+    for (const e of m.embeds) assert.ok(e.fields.length <= LIMITS.fieldsPerEmbed);
+  }
+  assert.strictEqual(messages.reduce((n, m) => n + m.embeds.reduce((k, e) => k + e.fields.length, 0), 0), events.length);
+
+  await withWebhook(() => [200, { id: '1' }], async (url, received) => {
+    assert.strictEqual(await sendDiscord(url, events, range, {}), received.length);
+    assert.ok(received.every(r => r.url.includes('wait=true')));
+    assert.strictEqual(received[0].body.content.length <= LIMITS.content, true);
+  });
+});
+
+test('waits for retry_after on 429 and sends again', async () => {
+  await withWebhook(n => (n === 1 ? [429, { retry_after: 0.2, global: false }] : [200, { id: '1' }]), async (url, received) => {
+    await sendDiscord(url, manyEvents(1, 5), range, {});
+    assert.strictEqual(received.length, 2);
+    assert.deepStrictEqual(received[1].body, received[0].body);
+    assert.ok(received[1].at - received[0].at >= 190);
+  });
+});
+
+test('fails on non-2xx responses', async () => {
+  await withWebhook(() => [400, { message: 'Invalid Form Body', code: 50035 }], async (url, received) => {
+    await assert.rejects(sendDiscord(url, manyEvents(3, 5), range, {}), /Discord webhook HTTP 400: .*Invalid Form Body/);
+    assert.strictEqual(received.length, 1);
+  });
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('../lib/http');
+
+// enrich destructures fetchHtml on require, so the stub goes in first
+let page = '';
+http.fetchHtml = async () => page;
+const { applyDetails, parseDetails, enrichEvents, DETAIL_DIR } = require('../lib/enrich');
+
+const details = { name: 'Jazz im Park: Quartett Süd', venue: 'Stadtpark', address: 'Parkstraße 1, Gießen', time: '19:30' };
+
+test('replaces only names built from the URL slug', () => {
+  const slug = { name: 'jazz im park', date: '2026-10-24T00:00:00', url: 'https://www.giessen.de/Veranstaltungen/jazz-im-park.php', source: 'giessen.de' };
+  assert.strictEqual(applyDetails(slug, details).name, 'Jazz im Park: Quartett Süd');
+
+  const titled = { name: 'Jazz', date: '2026-10-24T20:00:00', url: 'https://www.giessen.de/Veranstaltungen/jazz-im-park.php', source: 'giessen.de' };
+  assert.strictEqual(applyDetails(titled, details).name, 'Jazz');
+
+  const api = { name: 'Giant Rooks - Tour 2026', date: '2026-10-24T20:00:00', url: 'https://www.ticketmaster.de/event/554433', source: 'ticketmaster' };
+  assert.strictEqual(applyDetails(api, details).name, 'Giant Rooks - Tour 2026');
+});
+
+test('fills missing venue, address and time but keeps list data', () => {
+  const e = applyDetails({ name: 'Jazz', date: '2026-10-24T00:00:00', venue: 'MuK', address: 'Gießen', url: 'https://x.de/a' }, details);
+  assert.strictEqual(e.venue, 'MuK');
+  assert.strictEqual(e.address, 'Parkstraße 1, Gießen');
+  assert.strictEqual(e.date, '2026-10-24T19:30:00');
+});
+
+test('reads labelled detail markup', () => {
+  const d = parseDetails('<h1>Lesung am Abend</h1><dl><dt>Ort:</dt><dd>Stadtbibliothek</dd><dt>Eintritt</dt><dd>5 €</dd><dt>Beginn</dt><dd>19.00 Uhr</dd></dl>');
+  assert.deepStrictEqual([d.name, d.venue, d.price, d.time], ['Lesung am Abend', 'Stadtbibliothek', '5 €', '19:00']);
+});
+
+test('an unwritable detail cache is reported through the log, not thrown', async () => {
+  const write = fs.writeFileSync;
+  fs.writeFileSync = (file, ...rest) => {
+    if (String(file).startsWith(DETAIL_DIR)) throw new Error('EROFS: read-only file system');
+    return write(file, ...rest);
+  };
+  page = '<h1>Lesung am Abend</h1><dl><dt>Ort</dt><dd>Stadtbibliothek</dd></dl>';
+  const lines = [];
+  try {
+    const url = `https://www.giessen.de/Veranstaltungen/lesung-${Date.now()}.php`;
+    const [e] = await enrichEvents([{ name: 'lesung', date: '2026-10-24T00:00:00', url, source: 'giessen.de' }], {}, l => lines.push(l));
+    assert.strictEqual(e.venue, 'Stadtbibliothek');
+    assert.ok(lines.some(l => l.includes('Detail-Cache nicht schreibbar: EROFS')), lines.join('\n'));
+  } finally {
+    fs.writeFileSync = write;
+  }
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { configureHttp, get, fetchHtml, fetchJson, withRequestScope, takeRequestStats, formatRequestStats, mapLimit } = require('../lib/http');
+
+// Short waits, so retries don't slow the suite down
+configureHttp({ backoffMs: 1, maxBackoffMs: 5, minIntervalMs: 0, maxRetryAfterMs: 1000 });
+
+// Local server: `respond(req, n)` → [status, body, headers] or a promise of it
+async function withServer(respond, fn) {
+  const received = [];
+  let active = 0;
+  let maxActive = 0;
+  const server = http.createServer(async (req, res) => {
+    received.push({ at: Date.now(), url: req.url, headers: req.headers });
+    maxActive = Math.max(maxActive, ++active);
+    const [status, body = '', headers = {}] = await respond(req, received.length);
+    active--;
+    res.writeHead(status, headers);
+    res.end(typeof body === 'string' ? body : JSON.stringify(body));
+  });
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  try {
+    return await fn(`http://127.0.0.1:${server.address().port}`, received, () => maxActive);
+  } finally {
+    server.close();
+  }
+}
+
+test('retries 5xx with backoff and counts the retry', async () => {
+  await withServer((req, n) => (n < 3 ? [503] : [200, { ok: true }, { 'content-type': 'application/json' }]), async (base, received) => {
+    const data = await withRequestScope('retry-test', () => fetchJson(`${base}/api`, { q: 'jazz' }));
+    assert.deepStrictEqual(data, { ok: true });
+    assert.strictEqual(received.length, 3);
+    assert.ok(received.every(r => r.url === '/api?q=jazz'));
+    const stats = takeRequestStats('retry-test');
+    assert.deepStrictEqual([stats.requests, stats.attempts, stats.retries, stats.failures], [1, 3, 2, 0]);
+    assert.strictEqual(formatRequestStats(stats), ' [1 Request, 2 Retries]');
+  });
+});
+
+test('waits for Retry-After on 429', async () => {
+  await withServer((req, n) => (n === 1 ? [429, '', { 'retry-after': '0.2' }] : [200, 'ok']), async (base, received) => {
+    assert.strictEqual((await get(`${base}/limited`)).data, 'ok');
+    assert.ok(received[1].at - received[0].at >= 190, `waited ${received[1].at - received[0].at}ms`);
+  });
+});
+
+test('does not retry client errors or overlong Retry-After', async () => {
+  await withServer(() => [404], async (base, received) => {
+    await assert.rejects(get(`${base}/missing`), /404/);
+    assert.strictEqual(received.length, 1);
+  });
+  await withServer(() => [503, '', { 'retry-after': '3600' }], async (base, received) => {
+    await assert.rejects(get(`${base}/down`), /503/);
+    assert.strictEqual(received.length, 1);
+  });
+});
+
+test('gives up after the configured retries and says how often it tried', async () => {
+  await withServer(() => [502], async (base, received) => {
+    await withRequestScope('give-up', () => assert.rejects(get(`${base}/bad`), /502 \(nach 4 Versuchen\)/));
+    assert.strictEqual(received.length, 4);
+    assert.strictEqual(takeRequestStats('give-up').failures, 1);
+  });
+});
+
+test('conditional GET sends the stored validators and reuses the body on 304', async () => {
+  await withServer(req => (req.headers['if-none-match'] === '"v1"'
+    ? [304]
+    : [200, '<h1>Programm</h1>', { etag: '"v1"', 'last-modified': 'Mon, 19 Oct 2026 08:00:00 GMT' }]), async (base, received) => {
+    const url = `${base}/programm-${Date.now()}`;
+    assert.strictEqual(await fetchHtml(url), '<h1>Programm</h1>');
+    const body = await withRequestScope('conditional', () => fetchHtml(url));
+    assert.strictEqual(body, '<h1>Programm</h1>');
+    assert.strictEqual(received[1].headers['if-modified-since'], 'Mon, 19 Oct 2026 08:00:00 GMT');
+    assert.strictEqual(takeRequestStats('conditional').notModified, 1);
+  });
+});
+
+test('limits parallel requests per host', async () => {
+  const slow = () => new Promise(r => setTimeout(() => r([200, 'ok']), 30));
+  await withServer(slow, async (base, received, maxActive) => {
+    await mapLimit([1, 2, 3, 4, 5], 5, i => get(`${base}/page/${i}`));
+    assert.strictEqual(received.length, 5);
+    assert.strictEqual(maxActive(), 2);
+  });
+});
@@ -0,0 +1,119 @@
+process.env.TZ = 'Europe/Berlin';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { icalToEvents, expandRrule, parseRrule } = require('../lib/ical');
+
+const range = (start, end) => ({ start: new Date(`${start}T00:00:00`), end: new Date(`${end}T23:59:59`) });
+
+function calendar(...vevents) {
+  return ['BEGIN:VCALENDAR', 'VERSION:2.0', ...vevents.flatMap(v => ['BEGIN:VEVENT', ...v, 'END:VEVENT']), 'END:VCALENDAR'].join('\r\n');
+}
+
+const dates = events => events.map(e => e.date);
+
+test('yearly series that started decades before the range', () => {
+  const ics = calendar(['UID:stadtfest', 'SUMMARY:Stadtfest', 'DTSTART;VALUE=DATE:19991024', 'RRULE:FREQ=YEARLY']);
+  const events = icalToEvents(ics, range('2026-10-19', '2026-11-01'));
+  assert.deepStrictEqual(events.map(e => [e.name, e.date, e.allDay, e.recurrence]), [['Stadtfest', '2026-10-24T00:00:00', true, 'Jährlich']]);
+});
+
+test('old monthly and daily series expand without walking every day', () => {
+  assert.deepStrictEqual(expandRrule(parseRrule('FREQ=MONTHLY;BYDAY=1SU'), '1990-01-07', '2026-12-31', '2026-10-01'), ['2026-10-04', '2026-11-01', '2026-12-06']);
+  assert.deepStrictEqual(expandRrule(parseRrule('FREQ=DAILY;INTERVAL=3'), '2000-01-01', '2026-10-25', '2026-10-19'), ['2026-10-20', '2026-10-23']);
+});
+
+test('DTSTART counts toward COUNT even if the rule does not match it', () => {
+  // Monday DTSTART, rule only produces Tuesdays: Mon 19 + Tue 20 + Tue 27
+  const ics = calendar(['UID:kurs', 'SUMMARY:Kurs', 'DTSTART;TZID=Europe/Berlin:20261019T180000', 'RRULE:FREQ=WEEKLY;BYDAY=TU;COUNT=3']);
+  assert.deepStrictEqual(dates(icalToEvents(ics, range('2026-10-01', '2026-12-31'))), [
+    '2026-10-19T18:00:00', '2026-10-20T18:00:00', '2026-10-27T18:00:00',
+  ]);
+});
+
+test('UNTIL, INTERVAL and nth weekday rules', () => {
+  const ics = calendar(
+    ['UID:a', 'SUMMARY:Stammtisch', 'DTSTART:20260907T190000', 'RRULE:FREQ=WEEKLY;INTERVAL=2;UNTIL=20261102T235959Z'],
+    ['UID:b', 'SUMMARY:Flohmarkt', 'DTSTART;VALUE=DATE:20260103', 'RRULE:FREQ=MONTHLY;BYDAY=-1SA'],
+  );
+  const events = icalToEvents(ics, range('2026-10-01', '2026-11-30'));
+  assert.deepStrictEqual(events.filter(e => e.name === 'Stammtisch').map(e => e.date), ['2026-10-05T19:00:00', '2026-10-19T19:00:00', '2026-11-02T19:00:00']);
+  assert.deepStrictEqual(events.filter(e => e.name === 'Flohmarkt').map(e => e.date), ['2026-10-31T00:00:00', '2026-11-28T00:00:00']);
+});
+
+test('EXDATE in UTC or another zone removes the Berlin occurrence', () => {
+  // 19:00 Berlin is 17:00Z in summer time and 18:00Z after 25 Oct
+  const ics = calendar([
+    'UID:chor', 'SUMMARY:Chorprobe', 'DTSTART;TZID=Europe/Berlin:20261020T190000', 'RRULE:FREQ=WEEKLY;COUNT=4',
+    'EXDATE:20261027T180000Z', 'EXDATE;TZID=America/New_York:20261110T130000',
+  ]);
+  assert.deepStrictEqual(dates(icalToEvents(ics, range('2026-10-01', '2026-12-31'))), ['2026-10-20T19:00:00', '2026-11-03T19:00:00']);
+});
+
+test('EXDATE without zone uses the zone of DTSTART; all-day EXDATE drops the day', () => {
+  const ics = calendar(
+    ['UID:ny', 'SUMMARY:Stream', 'DTSTART;TZID=America/New_York:20261020T120000', 'RRULE:FREQ=DAILY;COUNT=3', 'EXDATE:20261021T120000'],
+    ['UID:d', 'SUMMARY:Lauftreff', 'DTSTART;TZID=Europe/Berlin:20261020T070000', 'RRULE:FREQ=DAILY;COUNT=3', 'EXDATE;VALUE=DATE:20261021'],
+  );
+  const events = icalToEvents(ics, range('2026-10-01', '2026-10-31'));
+  assert.deepStrictEqual(events.filter(e => e.name === 'Stream').map(e => e.date), ['2026-10-20T18:00:00', '2026-10-22T18:00:00']);
+  assert.deepStrictEqual(events.filter(e => e.name === 'Lauftreff').map(e => e.date), ['2026-10-20T07:00:00', '2026-10-22T07:00:00']);
+});
+
+test('TZID, Windows zones and UTC convert to Berlin wall clock across DST', () => {
+  const ics = calendar(
+    ['UID:1', 'SUMMARY:New York', 'DTSTART;TZID=America/New_York:20261024T140000', 'DTEND;TZID=America/New_York:20261024T160000'],
+    ['UID:2', 'SUMMARY:Outlook', 'DTSTART;TZID=W. Europe Standard Time:20261026T190000'],
+    ['UID:3', 'SUMMARY:UTC Sommer', 'DTSTART:20261024T180000Z'],
+    ['UID:4', 'SUMMARY:UTC Winter', 'DTSTART:20261101T180000Z'],
+    ['UID:5', 'SUMMARY:Mozilla', 'DTSTART;TZID=/mozilla.org/20050126_1/Europe/London:20261101T180000'],
+  );
+  const by = Object.fromEntries(icalToEvents(ics, range('2026-10-19', '2026-11-08')).map(e => [e.name, e]));
+  assert.strictEqual(by['New York'].date, '2026-10-24T20:00:00');
+  assert.strictEqual(by['New York'].endDate, '2026-10-24T22:00:00');
+  assert.strictEqual(by.Outlook.date, '2026-10-26T19:00:00');
+  assert.strictEqual(by['UTC Sommer'].date, '2026-10-24T20:00:00');
+  assert.strictEqual(by['UTC Winter'].date, '2026-11-01T19:00:00');
+  assert.strictEqual(by.Mozilla.date, '2026-11-01T19:00:00');
+});
+
+test('weekly series keeps its wall-clock time across the DST change', () => {
+  const ics = calendar(['UID:w', 'SUMMARY:Yoga', 'DTSTART;TZID=Europe/Berlin:20261018T100000', 'RRULE:FREQ=WEEKLY;COUNT=3']);
+  assert.deepStrictEqual(dates(icalToEvents(ics, range('2026-10-01', '2026-11-30'))), ['2026-10-18T10:00:00', '2026-10-25T10:00:00', '2026-11-01T10:00:00']);
+});
+
+test('all-day DTEND is exclusive', () => {
+  const ics = calendar(
+    ['UID:1', 'SUMMARY:Eintägig', 'DTSTART;VALUE=DATE:20261024', 'DTEND;VALUE=DATE:20261025'],
+    ['UID:2', 'SUMMARY:Messe', 'DTSTART;VALUE=DATE:20261024', 'DTEND;VALUE=DATE:20261027'],
+    ['UID:3', 'SUMMARY:Ausstellung', 'DTSTART;VALUE=DATE:20261001', 'DURATION:P30D'],
+  );
+  const by = Object.fromEntries(icalToEvents(ics, range('2026-10-19', '2026-10-25')).map(e => [e.name, e]));
+  assert.deepStrictEqual([by['Eintägig'].endDate, by['Eintägig'].allDay], [null, true]);
+  assert.strictEqual(by.Messe.endDate, '2026-10-26T00:00:00');
+  // Started before the range, still running in it
+  assert.strictEqual(by.Ausstellung.endDate, '2026-10-30T00:00:00');
+});
+
+test('RECURRENCE-ID overrides one occurrence', () => {
+  const ics = calendar(
+    ['UID:s', 'SUMMARY:Sprechstunde', 'LOCATION:Rathaus', 'DTSTART;TZID=Europe/Berlin:20261020T100000', 'RRULE:FREQ=WEEKLY;COUNT=3'],
+    ['UID:s', 'RECURRENCE-ID;TZID=Europe/Berlin:20261027T100000', 'DTSTART;TZID=Europe/Berlin:20261028T140000', 'LOCATION:Bürgerhaus'],
+  );
+  const events = icalToEvents(ics, range('2026-10-19', '2026-11-30'));
+  assert.deepStrictEqual(events.map(e => [e.date, e.location, e.name]), [
+    ['2026-10-20T10:00:00', 'Rathaus', 'Sprechstunde'],
+    ['2026-10-28T14:00:00', 'Bürgerhaus', 'Sprechstunde'],
+    ['2026-11-03T10:00:00', 'Rathaus', 'Sprechstunde'],
+  ]);
+});
+
+test('weekend range: all-day Friday counts, a Friday afternoon does not', () => {
+  const ics = calendar(
+    ['UID:markt', 'SUMMARY:Markt', 'DTSTART;VALUE=DATE:20261023'],
+    ['UID:kaffee', 'SUMMARY:Kaffee', 'DTSTART;TZID=Europe/Berlin:20261023T150000', 'DTEND;TZID=Europe/Berlin:20261023T170000'],
+    ['UID:party', 'SUMMARY:Party', 'DTSTART;TZID=Europe/Berlin:20261023T220000'],
+  );
+  const weekend = { start: new Date('2026-10-23T18:00:00'), end: new Date('2026-10-25T23:59:59') };
+  assert.deepStrictEqual(icalToEvents(ics, weekend).map(e => e.name), ['Markt', 'Party']);
+});
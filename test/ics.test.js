@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { formatIcs } = require('../lib/ics');
+
+const base = { name: 'Konzert', source: 'giessen.de', venue: 'MuK' };
+
+// DTSTART/DTEND lines of the single VEVENT
+function times(event) {
+  const lines = formatIcs([{ ...base, ...event }]).split('\r\n');
+  const vevent = lines.slice(lines.indexOf('BEGIN:VEVENT'));
+  return vevent.filter(l => /^DT(START|END)/.test(l));
+}
+
+test('a timed event ending at midnight ends at midnight', () => {
+  assert.deepStrictEqual(times({ date: '2026-10-24T22:00:00+02:00', endDate: '2026-10-25T00:00:00+02:00', allDay: false }), [
+    'DTSTART;TZID=Europe/Berlin:20261024T220000',
+    'DTEND;TZID=Europe/Berlin:20261025T000000',
+  ]);
+});
+
+test('a timed start with a later end day runs through that day', () => {
+  assert.deepStrictEqual(times({ date: '2026-10-24T19:00:00+02:00', endDate: '2026-10-26T00:00:00+01:00', allDay: false }), [
+    'DTSTART;TZID=Europe/Berlin:20261024T190000',
+    'DTEND;TZID=Europe/Berlin:20261026T235959',
+  ]);
+  assert.deepStrictEqual(times({ date: '2026-10-24T19:00', endDate: '2026-10-25', allDay: false }), [
+    'DTSTART;TZID=Europe/Berlin:20261024T190000',
+    'DTEND;TZID=Europe/Berlin:20261025T235959',
+  ]);
+});
+
+test('timed ends and missing ends', () => {
+  assert.deepStrictEqual(times({ date: '2026-10-24T20:00:00+02:00', endDate: '2026-10-24T23:30:00+02:00', allDay: false }), [
+    'DTSTART;TZID=Europe/Berlin:20261024T200000',
+    'DTEND;TZID=Europe/Berlin:20261024T233000',
+  ]);
+  // Two hours by default
+  assert.deepStrictEqual(times({ date: '2026-10-24T20:00:00+02:00', allDay: false }), [
+    'DTSTART;TZID=Europe/Berlin:20261024T200000',
+    'DTEND;TZID=Europe/Berlin:20261024T220000',
+  ]);
+});
+
+test('all-day events get an exclusive DTEND date', () => {
+  assert.deepStrictEqual(times({ date: '2026-10-24T00:00:00+02:00', allDay: true }), [
+    'DTSTART;VALUE=DATE:20261024',
+    'DTEND;VALUE=DATE:20261025',
+  ]);
+  assert.deepStrictEqual(times({ date: '2026-12-23T00:00:00+01:00', endDate: '2026-12-31T00:00:00+01:00', allDay: true }), [
+    'DTSTART;VALUE=DATE:20261223',
+    'DTEND;VALUE=DATE:20270101',
+  ]);
+});
+
+test('escapes text and folds long lines', () => {
+  const ics = formatIcs([{ ...base, date: '2026-10-24T20:00:00+02:00', name: 'Jazz; Blues, Soul', description: 'x'.repeat(200) }]);
+  assert.ok(ics.includes('SUMMARY:Jazz\\; Blues\\, Soul\r\n'));
+  assert.ok(ics.split('\r\n').every(l => Buffer.byteLength(l) <= 75));
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parsePrice, normalizeEvent, validateEvents, finalizeEvent, SCHEMA_VERSION } = require('../lib/schema');
+
+test('parses price texts into typed fields', () => {
+  const price = t => { const p = parsePrice(t); return [p.priceMin, p.priceMax, p.currency, p.free]; };
+  assert.deepStrictEqual(price('Ab 12€'), [12, null, 'EUR', false]);
+  assert.deepStrictEqual(price('VVK 12 € / AK 15 €'), [12, 15, 'EUR', false]);
+  assert.deepStrictEqual(price('25–59,90€'), [25, 59.9, 'EUR', false]);
+  assert.deepStrictEqual(price('Eintritt frei'), [0, 0, 'EUR', true]);
+  assert.deepStrictEqual(price('Kinder bis 12 Jahre 5€'), [5, 5, 'EUR', false]);
+  assert.deepStrictEqual(price('40 CHF'), [40, 40, 'CHF', false]);
+  assert.deepStrictEqual(price('12,50'), [12.5, 12.5, 'EUR', false]);
+  assert.deepStrictEqual(price('siehe Website'), [null, null, null, null]);
+});
+
+test('converts offsets to Berlin wall clock and flags untimed dates as all-day', () => {
+  const { event } = normalizeEvent({ name: ' Jazz  im Park ', source: 'test', date: '2026-10-24T18:00:00Z' });
+  assert.strictEqual(event.name, 'Jazz im Park');
+  assert.strictEqual(event.date, '2026-10-24T20:00:00');
+  assert.strictEqual(event.allDay, false);
+  assert.strictEqual(event.type, 'other');
+
+  assert.strictEqual(normalizeEvent({ name: 'Markt', source: 'test', date: '2026-10-24' }).event.allDay, true);
+  // An explicit flag wins over the midnight guess
+  assert.strictEqual(normalizeEvent({ name: 'Party', source: 'test', date: '2026-10-24T00:00:00', allDay: false }).event.allDay, false);
+});
+
+test('an end before the start on the same day runs past midnight', () => {
+  const { event } = normalizeEvent({ name: 'Party', source: 'test', date: '2026-10-24T22:00:00', endDate: '2026-10-24T02:00:00' });
+  assert.strictEqual(event.endDate, '2026-10-25T02:00:00');
+  const earlier = normalizeEvent({ name: 'Party', source: 'test', date: '2026-10-24T22:00:00', endDate: '2026-10-20T02:00:00' });
+  assert.strictEqual(earlier.event.endDate, null);
+});
+
+test('drops unusable items with German reasons', () => {
+  const { events, invalid } = validateEvents([
+    { name: 'Gut', source: 'test', date: '2026-10-24T20:00:00' },
+    { name: '', source: 'test' },
+    { name: 'Falsches Datum', source: 'test', date: '2026-02-30T20:00:00' },
+    { name: 'Ort', source: 'test', venue: 42 },
+    null,
+  ]);
+  assert.deepStrictEqual(events.map(e => e.name), ['Gut']);
+  assert.deepStrictEqual(invalid.map(x => x.errors), [
+    ['name fehlt'],
+    ['date ungültig ("2026-02-30T20:00:00")'],
+    ['venue ist kein Text'],
+    ['kein Objekt'],
+  ]);
+});
+
+test('finalized events carry the schema version and offset timestamps', () => {
+  const e = finalizeEvent(normalizeEvent({ name: 'Konzert', source: 'test', date: '2026-11-24T20:00:00', price: 'VVK 12 €' }).event);
+  assert.strictEqual(e.schemaVersion, SCHEMA_VERSION);
+  assert.strictEqual(e.startDate, '2026-11-24T20:00:00+01:00');
+  assert.strictEqual(e.endDate, null);
+  assert.strictEqual(e.priceMin, 12);
+  // A price added later (detail pages) is parsed here
+  assert.strictEqual(finalizeEvent({ name: 'X', source: 'test', date: null, price: 'Eintritt frei' }).free, true);
+});
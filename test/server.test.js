@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, queryToArgs } = require('../lib/server');
+
+const args = query => queryToArgs(new URLSearchParams(query));
+
+test('switches accept 1/true/yes or no value, and 0/false/no turn them off', () => {
+  assert.deepStrictEqual(args('free=1&include-cancelled=true&weather'), ['--include-cancelled', '--free', '--weather']);
+  assert.deepStrictEqual(args('free=0&include-cancelled=false&weather=no&hide-bad-weather=Off'), []);
+  assert.deepStrictEqual(args('city=Marburg&radius=20&free=yes'), ['--radius', '20', '--city', 'Marburg', '--free']);
+  assert.deepStrictEqual(args('city='), []);
+});
+
+test('invalid input is answered with 400 and the message', async () => {
+  const server = await startServer({ port: 0 }, {});
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const get = async path => {
+    const res = await fetch(base + path);
+    return { status: res.status, body: await res.json() };
+  };
+  try {
+    for (const [path, message] of [
+      ['/events?city=Atlantis', /Unbekannter Ort "Atlantis"/],
+      ['/events?center=abc', /Ungültiges Zentrum/],
+      ['/events?profile=nope', /Unbekanntes Profil "nope"/],
+      ['/events?sources=nope', /Unbekannte Quelle "nope"/],
+      ['/events?date=irgendwann', /Unbekannter Zeitraum/],
+      ['/events?limit=-1', /Ungültiges Limit/],
+    ]) {
+      const { status, body } = await get(path);
+      assert.strictEqual(status, 400, path);
+      assert.match(body.error, message);
+    }
+    assert.strictEqual((await get('/events.pdf')).status, 404);
+  } finally {
+    server.close();
+  }
+});
+
+test('/sources reports cache hits and stale fallbacks, not only live fetches', async () => {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'events-feed-'));
+  const file = path.join(dir, 'club.ics');
+  fs.writeFileSync(file, ['BEGIN:VCALENDAR', 'BEGIN:VEVENT', 'UID:jam', 'SUMMARY:Jam Session',
+    'DTSTART;TZID=Europe/Berlin:20200101T190000', 'RRULE:FREQ=DAILY', 'END:VEVENT', 'END:VCALENDAR'].join('\r\n'));
+  const config = { providers: { feeds: { enabled: true, feeds: [file] } } };
+  const server = await startServer({ port: 0 }, config);
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const feeds = async () => (await (await fetch(`${base}/sources`)).json()).find(p => p.name === 'feeds');
+  try {
+    assert.strictEqual((await fetch(`${base}/events?sources=feeds`)).status, 200);
+    const live = await feeds();
+    assert.strictEqual(live.lastCached, false);
+    assert.ok(live.lastCount > 0);
+
+    assert.strictEqual((await fetch(`${base}/events?sources=feeds`)).status, 200);
+    const cached = await feeds();
+    assert.deepStrictEqual([cached.lastCached, cached.lastStale, cached.lastCount], [true, false, live.lastCount]);
+    assert.match(cached.lastStatus, /^ok/);
+    assert.strictEqual(typeof cached.lastLatencyMs, 'number');
+    assert.strictEqual(typeof cached.lastCacheAgeMs, 'number');
+
+    // Expired cache and a broken feed: the last good result is served
+    config.providers.feeds.cacheTtlMinutes = 0;
+    fs.rmSync(file);
+    assert.strictEqual((await fetch(`${base}/events?sources=feeds`)).status, 200);
+    const stale = await feeds();
+    assert.deepStrictEqual([stale.lastCached, stale.lastStale, stale.lastCount], [true, true, live.lastCount]);
+    assert.match(stale.lastStatus, /^error/);
+  } finally {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,64 @@
+process.env.TZ = 'Europe/Berlin';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { compileAdapter, parseSitePage } = require('../lib/sites');
+
+const adapter = name => compileAdapter(require(`../providers/sites/${name}.json`));
+const page = name => fs.readFileSync(path.join(__dirname, 'fixtures', 'sites', `${name}.html`), 'utf-8');
+
+const range = { start: new Date('2026-10-19T00:00:00'), end: new Date('2026-11-30T23:59:59') };
+
+test('giessen.de: slug names, numeric dates and times, ranges overlapping the window', () => {
+  const events = parseSitePage(page('giessen'), adapter('giessen'), range);
+  assert.deepStrictEqual(events.map(e => [e.name, e.date, e.endDate]), [
+    ['Jazz im Park', '2026-10-24T19:30:00', '2026-10-24T22:00:00'],
+    ['Gießener Kulturnacht', '2026-10-23T00:00:00', null],
+    ['Wintermarkt', '2026-11-20T00:00:00', '2026-12-23T00:00:00'],
+    // undated: "keep"
+    ['Stadtfuehrung', null, null],
+  ]);
+  const [jazz] = events;
+  assert.strictEqual(jazz.url, 'https://www.giessen.de/Erleben/Veranstaltungen/Jazz-im-Park.php?FID=2874.1234.1');
+  assert.strictEqual(jazz.source, 'giessen.de');
+  assert.strictEqual(jazz.address, 'Gießen');
+  assert.strictEqual(jazz.description, 'Open-Air-Konzert mit dem Quartett Süd');
+});
+
+test('an untimed Friday item stays in a weekend that starts Friday evening', () => {
+  const weekend = { start: new Date('2026-10-23T18:00:00'), end: new Date('2026-10-25T23:59:59') };
+  const names = parseSitePage(page('giessen'), adapter('giessen'), weekend).map(e => e.name);
+  assert.ok(names.includes('Gießener Kulturnacht'));
+  assert.ok(!names.includes('Wintermarkt'));
+});
+
+test('wetzlar.de: undated items and navigation links are skipped', () => {
+  const events = parseSitePage(page('wetzlar'), adapter('wetzlar'), range);
+  assert.deepStrictEqual(events.map(e => [e.name, e.date, e.endDate]), [
+    ['Domkonzert Bach', '2026-10-25T17:00:00', null],
+    ['Altstadtfest', '2026-10-30T00:00:00', '2026-11-01T00:00:00'],
+  ]);
+  assert.ok(events.every(e => e.source === 'wetzlar.de' && e.address === 'Wetzlar' && e.description === null));
+});
+
+test('marburg.de: headings, text dates and recurring items expanded in the window', () => {
+  const events = parseSitePage(page('marburg'), adapter('marburg'), range);
+  const tales = events.find(e => e.name === 'Marburger Märchenwochen');
+  assert.deepStrictEqual([tales.date, tales.endDate], ['2026-11-11T00:00:00', '2026-11-13T00:00:00']);
+  assert.strictEqual(tales.url, 'https://www.marburg.de/portal/seiten/maerchenwochen-900001234-23001.html');
+
+  const market = events.filter(e => e.name === 'Wochenmarkt am Marktplatz');
+  assert.strictEqual(market.length, 6);
+  assert.strictEqual(market[0].date, '2026-10-24T00:00:00');
+  assert.strictEqual(market[0].recurrence, 'Jeden Samstag');
+  // Undated and not recurring, or a "zurück" link
+  assert.ok(!events.some(e => /Infostand|zurück|Übersicht/.test(e.name)));
+});
+
+test('invalid adapters fail with the adapter name', () => {
+  assert.throws(() => compileAdapter({ name: 'x', base: 'https://x.de', urls: ['/'] }), /Site-Adapter "x": "item" fehlt/);
+  assert.throws(() => compileAdapter({ name: 'x', base: 'https://x.de', urls: ['/'], item: 'li', title: 'h1' }), /title muss slug \| heading \| link sein/);
+  assert.throws(() => compileAdapter({ name: 'x', base: 'https://x.de', urls: ['/'], item: 'li', skipNames: '(' }), /skipNames ist kein gültiger Regex/);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadStore, saveStore, trackEvents } = require('../lib/store');
+
+const dateRange = { start: new Date('2026-10-19T00:00:00'), end: new Date('2026-10-31T23:59:59') };
+const okSources = new Set(['giessen.de', 'ticketmaster']);
+
+// Two runs through a fresh on-disk store → the second run's result
+function twoRuns(first, second) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'event-store-'));
+  try {
+    const store = loadStore(dir);
+    trackEvents(store, first, { dateRange, okSources, now: 1000 });
+    saveStore(store, 1000);
+    const next = loadStore(dir);
+    const result = trackEvents(next, second, { dateRange, okSources, now: 2000 });
+    return { result, records: next.records };
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const concert = {
+  name: 'Jazz im Keller', date: '2026-10-24T20:00:00', venue: 'Keller', price: '12€',
+  source: 'giessen.de', url: 'https://www.giessen.de/jazz',
+};
+
+test('flags new, changed and disappeared events', () => {
+  const lecture = { name: 'Vortrag Sternwarte', date: '2026-10-22T19:00:00', source: 'giessen.de' };
+  const market = { name: 'Flohmarkt', date: '2026-10-25T08:00:00', source: 'giessen.de' };
+  const { result } = twoRuns([concert, lecture], [{ ...concert, price: '15€' }, market]);
+  const by = Object.fromEntries(result.map(e => [e.name, e]));
+  assert.strictEqual(by['Jazz im Keller'].changeStatus, 'changed');
+  assert.deepStrictEqual(by['Jazz im Keller'].changes.map(c => [c.field, c.from, c.to]), [['price', '12€', '15€']]);
+  assert.strictEqual(by.Flohmarkt.changeStatus, 'new');
+  assert.strictEqual(by['Vortrag Sternwarte'].changeStatus, 'disappeared');
+});
+
+test('an event moved to another day is changed, not new + disappeared', () => {
+  const moved = { ...concert, date: '2026-10-30T20:00:00' };
+  const { result, records } = twoRuns([concert], [moved]);
+  assert.strictEqual(result.length, 1);
+  assert.strictEqual(result[0].changeStatus, 'changed');
+  assert.deepStrictEqual(result[0].changes.map(c => [c.field, c.from, c.to]), [['date', '2026-10-24T20:00:00', '2026-10-30T20:00:00']]);
+  assert.strictEqual(result[0].firstSeen, 1000);
+  assert.strictEqual(records.size, 1);
+});
+
+test('a different merged name with the same source URL keeps the record', () => {
+  const renamed = { ...concert, name: 'Jazz im Keller: Trio Lahn', sources: [{ source: 'giessen.de', url: concert.url }] };
+  const { result } = twoRuns([concert], [renamed]);
+  assert.strictEqual(result.length, 1);
+  assert.strictEqual(result[0].changeStatus, null);
+  assert.strictEqual(result[0].firstSeen, 1000);
+});
+
+test('ambiguous matches stay new and disappeared', () => {
+  const a = { ...concert, date: '2026-10-24T20:00:00' };
+  const b = { ...concert, date: '2026-10-25T20:00:00' };
+  const { result } = twoRuns([a, b], [{ ...concert, date: '2026-10-28T20:00:00' }]);
+  assert.deepStrictEqual(result.map(e => e.changeStatus).sort(), ['disappeared', 'disappeared', 'new']);
+});
+
+test('sources that failed this run report nothing as disappeared', () => {
+  const tm = { name: 'Stadthalle Konzert', date: '2026-10-23T20:00:00', source: 'ticketmaster' };
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'event-store-'));
+  try {
+    const store = loadStore(dir);
+    trackEvents(store, [tm], { dateRange, okSources, now: 1000 });
+    const result = trackEvents(store, [], { dateRange, okSources: new Set(['giessen.de']), now: 2000 });
+    assert.deepStrictEqual(result, []);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
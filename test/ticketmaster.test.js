@@ -0,0 +1,118 @@
+process.env.TZ = 'Europe/Berlin';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('../lib/http');
+
+const pages = [0, 1, 2].map(n => require(`./fixtures/ticketmaster/page-${n}.json`));
+
+// The provider destructures fetchJson on require, so the stub goes in first
+let requests = [];
+let respond = params => pages[params.page];
+http.fetchJson = async (url, params) => {
+  requests.push({ url, params });
+  return respond(params);
+};
+const { fetchTicketmaster, mapTicketmasterEvent } = require('../providers/ticketmaster');
+
+const range = { start: new Date('2026-10-19T00:00:00'), end: new Date('2026-11-30T23:59:59') };
+const opts = { geo: { lat: 50.5841, lon: 8.6784 }, radius: 30 };
+
+function run(providerConfig, reply = params => pages[params.page]) {
+  requests = [];
+  respond = reply;
+  return fetchTicketmaster(range, opts, { apiKey: 'test', ...providerConfig });
+}
+
+test('follows page.totalPages until the last page', async () => {
+  const { events, status } = await run({});
+  assert.deepStrictEqual(requests.map(r => r.params.page), [0, 1, 2]);
+  assert.strictEqual(events.length, 5);
+  assert.strictEqual(status, 'ok (5 Events)');
+});
+
+test('stops at maxPages and reports the cut', async () => {
+  const { events, status } = await run({ maxPages: 2 });
+  assert.deepStrictEqual(requests.map(r => r.params.page), [0, 1]);
+  assert.strictEqual(events.length, 4);
+  assert.strictEqual(status, 'ok (4 von 5 Events, Seitenlimit 2 von 3)');
+});
+
+test('keeps size * page below the 1000-item paging limit', async () => {
+  const deep = () => ({ ...pages[2], page: { size: 200, totalElements: 10000, totalPages: 50, number: 0 } });
+  const { status } = await run({ pageSize: 500, maxPages: 10 }, deep);
+  assert.ok(requests.every(r => r.params.size === 200));
+  assert.deepStrictEqual(requests.map(r => r.params.page), [0, 1, 2, 3, 4]);
+  assert.strictEqual(status, 'ok (5 von 10000 Events, Seitenlimit 5 von 50)');
+});
+
+test('sends the query window as UTC without milliseconds', async () => {
+  await run({ maxPages: 1 });
+  const { params } = requests[0];
+  assert.strictEqual(params.startDateTime, '2026-10-18T22:00:00Z');
+  assert.strictEqual(params.endDateTime, '2026-11-30T22:59:59Z');
+  assert.strictEqual(params.latlong, '50.5841,8.6784');
+  assert.strictEqual(params.unit, 'km');
+  assert.strictEqual(params.sort, 'date,asc');
+});
+
+test('maps a full event with venue, EUR price range and best image', () => {
+  const e = mapTicketmasterEvent(pages[0]._embedded.events[0]);
+  assert.strictEqual(e.date, '2026-10-24T20:00:00');
+  assert.strictEqual(e.venue, 'Hessenhallen Gießen');
+  assert.strictEqual(e.address, 'Hessenhallen 1, 35394 Gießen');
+  assert.strictEqual(e.type, 'music');
+  assert.deepStrictEqual(e.categories, ['Music', 'Rock', 'Pop']);
+  assert.deepStrictEqual([e.priceMin, e.priceMax, e.currency, e.price], [25, 59.9, 'EUR', '25–59,90€']);
+  // Non-fallback 16:9 beats a wider 3:2 and the wider fallback
+  assert.strictEqual(e.image, 'https://s1.ticketm.net/dam/a/rooks_16_9_1024.jpg');
+  assert.strictEqual(e.status, 'scheduled');
+  assert.strictEqual(e.salesStatus, 'onsale');
+  assert.strictEqual(e.lat, 50.5744);
+  assert.strictEqual(e.description, 'Einlass ab 19:00 Uhr.');
+});
+
+test('keeps only the day of TBA starts and the currency of foreign prices', () => {
+  const e = mapTicketmasterEvent(pages[0]._embedded.events[1]);
+  assert.strictEqual(e.date, '2026-10-25T00:00:00');
+  assert.deepStrictEqual([e.priceMin, e.priceMax, e.currency, e.price], [40, 40, 'CHF', '40 CHF']);
+  // Only fallbacks: the widest one
+  assert.strictEqual(e.image, 'https://s1.ticketm.net/dam/c/fallback_16_9_1136.jpg');
+  assert.strictEqual(e.status, 'postponed');
+  // Public sale has not started yet
+  assert.strictEqual(e.salesStatus, 'offsale');
+  assert.strictEqual(e.lat, undefined);
+});
+
+test('converts dateTime-only starts and maps cancelled and rescheduled events', () => {
+  const [cancelled, rescheduled] = pages[1]._embedded.events.map(mapTicketmasterEvent);
+  assert.strictEqual(cancelled.date, '2026-10-24T20:30:00');
+  assert.strictEqual(cancelled.status, 'cancelled');
+  // Public sale has ended
+  assert.strictEqual(cancelled.salesStatus, 'offsale');
+  assert.strictEqual(cancelled.price, null);
+  assert.strictEqual(cancelled.image, null);
+  assert.strictEqual(cancelled.type, 'comedy');
+
+  assert.strictEqual(rescheduled.status, 'rescheduled');
+  assert.strictEqual(rescheduled.endDate, '2026-10-26T21:30:00');
+  assert.strictEqual(rescheduled.salesStatus, null);
+  assert.deepStrictEqual([rescheduled.priceMin, rescheduled.priceMax, rescheduled.price], [18, 18, '18€']);
+});
+
+test('takes localDate-only starts as the whole day', () => {
+  const e = mapTicketmasterEvent(pages[2]._embedded.events[0]);
+  assert.strictEqual(e.date, '2026-10-31T00:00:00');
+  assert.strictEqual(e.endDate, null);
+  assert.deepStrictEqual(e.categories, ['Miscellaneous']);
+});
+
+test('skips without an API key', async () => {
+  const saved = process.env.TICKETMASTER_API_KEY;
+  delete process.env.TICKETMASTER_API_KEY;
+  requests = [];
+  const result = await fetchTicketmaster(range, opts, {});
+  if (saved !== undefined) process.env.TICKETMASTER_API_KEY = saved;
+  assert.deepStrictEqual(result, { events: [], status: 'skip (kein API Key)' });
+  assert.strictEqual(requests.length, 0);
+});
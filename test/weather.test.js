@@ -0,0 +1,99 @@
+process.env.TZ = 'Europe/Berlin';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const { addWeather, weatherLabel, WEATHER_DIR } = require('../lib/weather');
+const { applyFilters } = require('../lib/aggregate');
+
+const now = new Date('2026-10-19T10:00:00');
+const center = { name: 'Gießen', lat: 50.5841, lon: 8.6784 };
+
+// Open-Meteo daily answer: the 21st is rainy and windy
+const forecast = {
+  daily: {
+    time: ['2026-10-19', '2026-10-20', '2026-10-21'],
+    weather_code: [1, 3, 63],
+    temperature_2m_max: [14.4, 12.6, 9.2],
+    temperature_2m_min: [5.1, 4, 3.3],
+    precipitation_probability_max: [10, 20, 85],
+    wind_speed_10m_max: [12.3, 18, 44.6],
+  },
+};
+
+// Local Open-Meteo stub; records the query of every request
+async function withForecastServer(fn) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    received.push(Object.fromEntries(new URL(req.url, 'http://stub').searchParams));
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end(JSON.stringify(forecast));
+  });
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  try {
+    return await fn({ weather: { baseUrl: `http://127.0.0.1:${server.address().port}/v1/forecast` } }, received);
+  } finally {
+    server.close();
+  }
+}
+
+const events = [
+  { name: 'Gravel-Tour', date: '2026-10-20T10:00:00', outdoor: true, source: 'test' },
+  { name: 'MTB-Rennen', date: '2026-10-21T09:00:00', outdoor: true, lat: 50.58, lon: 8.68, source: 'test' },
+  { name: 'Konzert', date: '2026-10-21T20:00:00', outdoor: false, source: 'test' },
+  { name: 'Wanderung', date: '2026-11-20T10:00:00', outdoor: true, source: 'test' },
+];
+
+test('annotates outdoor events within the forecast horizon', async () => {
+  await withForecastServer(async (config, received) => {
+    const lines = [];
+    const out = await addWeather(events, center, config, { log: l => lines.push(l), mode: 'off', now });
+    // Both outdoor events fall into the same ~10 km cell
+    assert.strictEqual(received.length, 1);
+    assert.deepStrictEqual([received[0].latitude, received[0].longitude, received[0].timezone], ['50.6', '8.7', 'Europe/Berlin']);
+
+    const [tour, race, concert, hike] = out;
+    assert.deepStrictEqual(tour.weather, { temperatureMax: 13, temperatureMin: 4, precipitationProbability: 20, windKmh: 18, code: 3, icon: '☁️', bad: false });
+    assert.strictEqual(race.weather.bad, true);
+    assert.strictEqual(weatherLabel(race.weather), '⚠️ 🌧️ 9° ☔ 85% 💨 45 km/h');
+    assert.strictEqual(concert.weather, undefined);
+    assert.strictEqual(hike.weather, undefined);
+    assert.match(lines[0], /Wetter: 2 Outdoor-Events, 1 Orte \(0 aus Cache\)/);
+  });
+});
+
+test('--hide-bad-weather drops bad forecasts only', async () => {
+  await withForecastServer(async config => {
+    const out = await addWeather(events, center, config, { mode: 'off', now });
+    assert.deepStrictEqual(applyFilters(out, { hideBadWeather: true }).map(e => e.name), ['Gravel-Tour', 'Konzert', 'Wanderung']);
+    assert.strictEqual(applyFilters(out, {}).length, 4);
+  });
+});
+
+test('thresholds come from the config', async () => {
+  await withForecastServer(async config => {
+    const strict = { weather: { ...config.weather, rainProbability: 15 } };
+    const [tour] = await addWeather(events, center, strict, { mode: 'off', now });
+    assert.strictEqual(tour.weather.bad, true);
+  });
+});
+
+test('fetched forecasts survive an unwritable cache', async () => {
+  const write = fs.writeFileSync;
+  fs.writeFileSync = (file, ...rest) => {
+    if (String(file).startsWith(WEATHER_DIR)) throw new Error('EROFS: read-only file system');
+    return write(file, ...rest);
+  };
+  try {
+    await withForecastServer(async config => {
+      const lines = [];
+      const [tour] = await addWeather(events, center, config, { log: l => lines.push(l), mode: 'on', now });
+      assert.strictEqual(tour.weather.temperatureMax, 13);
+      assert.ok(lines.some(l => l.includes('Wetter-Cache nicht schreibbar: EROFS')), lines.join('\n'));
+      assert.ok(!lines.some(l => l.includes('fehlgeschlagen')));
+    });
+  } finally {
+    fs.writeFileSync = write;
+  }
+});